@@ -0,0 +1,271 @@
+/**
+ * API key authentication for the REST server
+ * Keys are only kept as SHA-256 hashes; each key can carry its own rate limit,
+ * concurrency limit and access restrictions
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { GeminiError, AuthError, RateLimitError } from './errors.js';
+import { resolveModel } from './models.js';
+import { parseBearerCookies } from './openai.js';
+
+/**
+ * Default limits for keys that do not set their own
+ */
+export const DEFAULT_KEY_LIMITS = {
+    rateLimit: { requests: 60, window: 60 * 1000 }, // 60 requests per minute
+    maxConcurrent: 4
+};
+
+/**
+ * The API key is valid but not allowed to perform this request
+ */
+export class PermissionError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'FORBIDDEN', ...options });
+    }
+}
+
+/**
+ * Hash an API key the way it is stored
+ *
+ * @param {string} key - Raw API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read the API key from a request
+ * Accepts "X-API-Key: <key>" or "Authorization: Bearer <key>"; bearer tokens that
+ * carry Google cookies (see parseBearerCookies) are not API keys
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw API key
+ */
+export function getRequestApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) {
+        return header.trim();
+    }
+
+    const authorization = req.get('authorization');
+    const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+    if (match && !parseBearerCookies(authorization)) {
+        return match[1].trim();
+    }
+
+    return null;
+}
+
+/**
+ * Registry of API keys with per-key limits and restrictions
+ */
+export class ApiKeyManager {
+    /**
+     * @param {Array<Object>} keys - Keys: [{ id, key | hash, rateLimit, maxConcurrent, models, allowEnvCookies }]
+     * @param {Object} defaults - Limits for keys that do not set their own (see DEFAULT_KEY_LIMITS)
+     */
+    constructor(keys = [], defaults = {}) {
+        this.defaults = { ...DEFAULT_KEY_LIMITS, ...defaults };
+        this.keys = new Map(); // { hash: entry }
+
+        keys.forEach((definition, index) => this.add({ id: `key_${index + 1}`, ...definition }));
+    }
+
+    /**
+     * Whether any key is configured (authentication is off otherwise)
+     */
+    get enabled() {
+        return this.keys.size > 0;
+    }
+
+    /**
+     * Add a key
+     *
+     * @param {Object} definition - Key definition
+     * @param {string} definition.id - Name used in logs and to scope chat sessions
+     * @param {string} definition.key - Raw key (hashed immediately)
+     * @param {string} definition.hash - SHA-256 hash of the key, optionally prefixed with "sha256:"
+     * @param {Object} definition.rateLimit - { requests, window } (window in milliseconds)
+     * @param {number} definition.maxConcurrent - Maximum requests in flight
+     * @param {Array<string>} definition.models - Allowed model names or aliases (all if omitted)
+     * @param {boolean} definition.allowEnvCookies - Whether the key may use the server's default accounts
+     * @returns {Object} Key entry
+     */
+    add(definition) {
+        const { id, key, hash, rateLimit, maxConcurrent, models, allowEnvCookies = true } = definition || {};
+
+        const keyHash = key ? hashApiKey(key) : String(hash || '').replace(/^sha256:/, '').toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(keyHash)) {
+            throw new Error(`API key "${id}" needs a key or a SHA-256 hash`);
+        }
+
+        const entry = {
+            id,
+            rateLimit: { ...this.defaults.rateLimit, ...rateLimit },
+            maxConcurrent: maxConcurrent || this.defaults.maxConcurrent,
+            models: Array.isArray(models) ? models : null,
+            allowEnvCookies,
+            requests: [], // Timestamps inside the current rate limit window
+            inFlight: 0
+        };
+        this.keys.set(keyHash, entry);
+        return entry;
+    }
+
+    /**
+     * Look up the key sent with a request
+     *
+     * @param {string|null} key - Raw API key
+     * @returns {Object} Key entry
+     * @throws {AuthError} If the key is missing or unknown
+     */
+    authenticate(key) {
+        if (!key) {
+            throw new AuthError('API key required. Send it as "X-API-Key: <key>" or "Authorization: Bearer <key>"', { code: 'API_KEY_REQUIRED' });
+        }
+
+        const entry = this.keys.get(hashApiKey(key));
+        if (!entry) {
+            throw new AuthError('Invalid API key', { code: 'INVALID_API_KEY' });
+        }
+        return entry;
+    }
+
+    /**
+     * Count a request against a key's rate and concurrency limits
+     *
+     * @param {Object} entry - Key entry
+     * @returns {Function} Releases the concurrency slot (safe to call more than once)
+     * @throws {RateLimitError} If a limit is reached; `retryAt` tells when to try again
+     */
+    acquire(entry) {
+        const now = Date.now();
+        const { requests, window } = entry.rateLimit;
+
+        entry.requests = entry.requests.filter(timestamp => timestamp > now - window);
+
+        if (entry.requests.length >= requests) {
+            const error = new RateLimitError(`Rate limit of ${requests} requests per ${Math.round(window / 1000)}s exceeded for this API key`, { code: 'KEY_RATE_LIMITED' });
+            error.retryAt = entry.requests[0] + window;
+            throw error;
+        }
+
+        if (entry.inFlight >= entry.maxConcurrent) {
+            const error = new RateLimitError(`Too many concurrent requests for this API key (limit ${entry.maxConcurrent})`, { code: 'KEY_CONCURRENCY_LIMITED' });
+            error.retryAt = now + 1000;
+            throw error;
+        }
+
+        entry.requests.push(now);
+        entry.inFlight++;
+
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                entry.inFlight--;
+            }
+        };
+    }
+
+    /**
+     * Check whether a key may use a model
+     *
+     * @param {Object|null} entry - Key entry (null when authentication is off)
+     * @param {Object} model - Resolved model ({ name, header })
+     * @returns {boolean}
+     */
+    isModelAllowed(entry, model) {
+        if (!entry || !entry.models) {
+            return true;
+        }
+
+        return entry.models.some(name => {
+            try {
+                return resolveModel(name).name === model.name;
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Throw if a key may not use a model
+     *
+     * @throws {PermissionError}
+     */
+    checkModel(entry, model) {
+        if (!this.isModelAllowed(entry, model)) {
+            throw new PermissionError(`This API key is not allowed to use model "${model.name}"`, { code: 'MODEL_NOT_ALLOWED' });
+        }
+    }
+
+    /**
+     * Throw if a key may not use the server's default accounts
+     *
+     * @throws {PermissionError}
+     */
+    checkEnvCookies(entry) {
+        if (entry && !entry.allowEnvCookies) {
+            throw new PermissionError('This API key must provide its own cookies', { code: 'COOKIES_REQUIRED' });
+        }
+    }
+
+    /**
+     * Express middleware that authenticates the request and applies the key's limits
+     * The key entry is exposed as req.apiKey; errors are passed to the error handler
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled || req.method === 'OPTIONS') {
+                return next();
+            }
+
+            try {
+                const entry = this.authenticate(getRequestApiKey(req));
+                const release = this.acquire(entry);
+                res.on('close', release);
+                req.apiKey = entry;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Create a manager from raw keys and/or a JSON key file
+     * The file holds an array (or { "keys": [...] }) of key definitions with a "hash"
+     *
+     * @param {Object} options - { keys: "key1,sha256:<hash>,...", file: path, defaults }
+     * @returns {ApiKeyManager}
+     */
+    static load({ keys, file, defaults } = {}) {
+        const definitions = [];
+
+        if (keys) {
+            keys.split(',').map(key => key.trim()).filter(Boolean).forEach((key, index) => {
+                definitions.push(key.startsWith('sha256:')
+                    ? { id: `env_${index + 1}`, hash: key }
+                    : { id: `env_${index + 1}`, key });
+            });
+        }
+
+        if (file) {
+            const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const fileKeys = Array.isArray(config) ? config : (config?.keys || []);
+            fileKeys.forEach((definition, index) => {
+                if (definition.key) {
+                    throw new Error(`API key "${definition.id || index + 1}" in ${file} must be stored as a hash, not in plain text`);
+                }
+                definitions.push({ id: `file_${index + 1}`, ...definition });
+            });
+        }
+
+        return new ApiKeyManager(definitions, defaults);
+    }
+}
@@ -3,32 +3,147 @@
  * Reverse-engineered API with automatic cookie refresh
  */
 
-import axios from 'axios';
-import { Endpoints, Headers, Models, ErrorCodes } from './constants.js';
-import { rotate1PSIDTS, getAccessToken, sleep } from './utils.js';
+import { StringDecoder } from 'string_decoder';
+import { Endpoints, Headers, Models, ErrorCodes, RpcIds, GemListTypes, SHARE_LINK_BASE, resolveEndpoints } from './constants.js';
+import { resolveModel } from './models.js';
+import { rotate1PSIDTS, getAccessToken, uploadFile, readFileInput, sleep, httpClient } from './utils.js';
+import { getCredentialKey, getDefaultCredentialStore } from './credentialStore.js';
+import { CookieJar } from './cookieJar.js';
+import {
+    GeminiError,
+    AuthError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    ParseError,
+    NotFoundError
+} from './errors.js';
+import { ResponseParser, detectMimeType } from './parser.js';
+import { renderOutput, checkFormat } from './renderer.js';
+
+export {
+    GeminiError,
+    AuthError,
+    UsageLimitError,
+    RateLimitError,
+    ModelInvalidError,
+    IPBlockedError,
+    TimeoutError,
+    NetworkError,
+    ParseError,
+    NotFoundError
+} from './errors.js';
+
+export { CookieJar } from './cookieJar.js';
+export { RecordingTransport, ReplayTransport } from './transport.js';
+export { ResponseParser, SCHEMAS, registerSchema } from './parser.js';
+export { RENDER_FORMATS, renderText, resolvePlaceholders } from './renderer.js';
+
+/**
+ * Default retry policy for generate and upload requests
+ * Usage limits (1037), model and IP block errors are not retried since
+ * waiting a few seconds does not clear them
+ */
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 1000, // 1 second
+    maxDelay: 30000, // 30 seconds
+    jitter: true,
+    retryOn: [NetworkError, TimeoutError, RateLimitError, AuthError]
+};
+
+// Network error codes worth retrying
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Share id from an id or a share link (g.co/gemini/share/<id>, gemini.google.com/share/<id>)
+ */
+function getShareId(share) {
+    const value = typeof share === 'string' ? share.trim() : '';
+    const match = value.match(/\/share\/([\w-]+)/);
+    const shareId = match ? match[1] : value;
+    if (!/^[\w-]+$/.test(shareId)) {
+        throw new Error('Share id or link is required');
+    }
+    return shareId;
+}
+
+/**
+ * Id of a gem option: the id itself or a gem from listGems/createGem
+ */
+function getGemId(gem) {
+    if (!gem) {
+        return null;
+    }
+    return typeof gem === 'string' ? gem : gem.id || null;
+}
 
 /**
  * Main Gemini API Client
  */
 export class GeminiClient {
-    constructor(secure1PSID = null, secure1PSIDTS = null, proxy = null) {
-        this.cookies = {};
+    /**
+     * @param {string} secure1PSID - __Secure-1PSID cookie
+     * @param {string} secure1PSIDTS - __Secure-1PSIDTS cookie
+     * @param {string|null} proxy - Optional proxy URL
+     * @param {Object} options - Client options
+     * @param {Object} options.credentialStore - Where rotated cookies and access tokens are cached
+     *   (see credentialStore.js); defaults to a file store in the temp directory
+     * @param {CookieJar|Array|Object} options.cookies - Further cookies: a CookieJar (e.g. from
+     *   CookieJar.load), a browser extension export or cookie values by name
+     * @param {Object} options.transport - Sends every HTTP request (see transport.js); defaults to the
+     *   shared axios client. Use RecordingTransport/ReplayTransport to record and replay fixtures
+     * @param {string|Object} options.endpoints - Base URL (or { NAME: url } overrides) to send requests
+     *   somewhere other than Google, e.g. the mock backend in mockServer.js (see resolveEndpoints)
+     * @param {ResponseParser|Object} options.parser - Response parser, or its options
+     *   ({ schema, strict, debug }) to override field paths after a payload change (see parser.js)
+     * @param {boolean} options.temporary - Send every request as a temporary chat, kept out of the
+     *   account's Gemini history
+     */
+    constructor(secure1PSID = null, secure1PSIDTS = null, proxy = null, options = {}) {
+        this.jar = CookieJar.from(options.cookies || {});
         this.proxy = proxy;
+        this.credentialStore = options.credentialStore || getDefaultCredentialStore();
+        this.transport = options.transport || httpClient;
+        this.endpoints = resolveEndpoints(options.endpoints);
+        this.parser = options.parser instanceof ResponseParser
+            ? options.parser
+            : new ResponseParser(options.parser || {});
+        this.temporary = Boolean(options.temporary);
         this.running = false;
+        this.stale = false; // Set by an authentication failure until init() or refreshSession() succeeds
+        this.recovery = null;
+        this.initOptions = {};
         this.accessToken = null;
         this.timeout = 300000; // 300 seconds
         this.autoRefresh = true;
         this.refreshInterval = 54000; // 54 seconds (9 minutes)
         this.refreshIntervalId = null;
+        this.retry = { ...DEFAULT_RETRY_POLICY };
+        this.onCookiesUpdate = null;
 
         if (secure1PSID) {
-            this.cookies['__Secure-1PSID'] = secure1PSID;
+            this.jar.set('__Secure-1PSID', secure1PSID);
             if (secure1PSIDTS) {
-                this.cookies['__Secure-1PSIDTS'] = secure1PSIDTS;
+                this.jar.set('__Secure-1PSIDTS', secure1PSIDTS);
             }
         }
     }
 
+    /**
+     * Current cookie values by name (read-only snapshot of the jar)
+     */
+    get cookies() {
+        return this.jar.toObject();
+    }
+
+    /**
+     * Replace the jar's contents with cookie values by name
+     */
+    set cookies(cookies) {
+        this.jar = CookieJar.from(cookies);
+    }
+
     /**
      * Initialize the client - fetch access token and start auto-refresh
      * 
@@ -37,31 +152,53 @@ export class GeminiClient {
      * @param {boolean} options.autoRefresh - Enable automatic cookie refresh
      * @param {number} options.refreshInterval - Cookie refresh interval in milliseconds
      * @param {boolean} options.verbose - Enable verbose logging
+     * @param {Object} options.retry - Retry policy overrides (see DEFAULT_RETRY_POLICY)
+     * @param {number} options.retry.maxAttempts - Total attempts per request, 1 disables retries
+     * @param {number} options.retry.baseDelay - Delay before the first retry in milliseconds, doubled per attempt
+     * @param {number} options.retry.maxDelay - Upper bound for the backoff delay in milliseconds
+     * @param {boolean} options.retry.jitter - Randomize delays to avoid synchronized retries
+     * @param {Array<Function>} options.retry.retryOn - Error classes that trigger a retry
+     * @param {Function} options.onCookiesUpdate - Called with the cookies after __Secure-1PSIDTS is rotated
+     * @param {number} options.accessTokenMaxAge - Reuse an access token from the credential store if it
+     *   was fetched within this many milliseconds (0 always fetches a new one)
      */
     async init(options = {}) {
         const {
             timeout = 300000,
             autoRefresh = true,
             refreshInterval = 540000,
-            verbose = true
+            verbose = true,
+            retry = {},
+            onCookiesUpdate = null,
+            accessTokenMaxAge = 10 * 60 * 1000 // 10 minutes
         } = options;
 
+        this.initOptions = options;
         this.timeout = timeout;
         this.autoRefresh = autoRefresh;
         this.refreshInterval = refreshInterval;
         this.verbose = verbose;
+        this.retry = { ...DEFAULT_RETRY_POLICY, ...retry };
+        this.onCookiesUpdate = onCookiesUpdate;
 
         try {
             if (this.verbose) {
                 console.log('[Init] Initializing Gemini client...');
             }
 
-            // Get access token and valid cookies
-            const { accessToken, cookies } = await getAccessToken(this.cookies, this.proxy);
-
-            this.accessToken = accessToken;
-            this.cookies = cookies;
+            // Reuse a recent access token, otherwise fetch one along with valid cookies
+            const cached = await this.loadCachedAccessToken(accessTokenMaxAge);
+            if (cached) {
+                this.accessToken = cached;
+                if (this.verbose) {
+                    console.log('[Init] Reusing cached access token');
+                }
+            } else {
+                const { accessToken } = await getAccessToken(this.jar, this.proxy, this.credentialStore, this.transport, this.endpoints);
+                this.accessToken = accessToken;
+            }
             this.running = true;
+            this.stale = false;
 
             // Start auto-refresh if enabled
             if (this.autoRefresh) {
@@ -77,10 +214,48 @@ export class GeminiClient {
             }
         } catch (error) {
             await this.close();
+            // Keep typed errors (e.g. AuthError) so callers can still tell failures apart
+            if (error instanceof GeminiError) {
+                error.message = `Failed to initialize client: ${error.message}`;
+                throw error;
+            }
             throw new Error(`Failed to initialize client: ${error.message}`);
         }
     }
 
+    /**
+     * Read an access token fetched for this account within maxAge from the credential store
+     * Only used when the stored token was fetched with the same __Secure-1PSIDTS
+     *
+     * @param {number} maxAge - Maximum token age in milliseconds
+     * @returns {Promise<string|null>} Access token or null
+     */
+    async loadCachedAccessToken(maxAge) {
+        const secure1PSID = this.jar.get('__Secure-1PSID');
+        if (!maxAge || !secure1PSID) {
+            return null;
+        }
+
+        try {
+            const record = await this.credentialStore.get(getCredentialKey(secure1PSID));
+            if (!record || !record.accessToken || Date.now() - record.accessTokenFetchedAt > maxAge) {
+                return null;
+            }
+
+            const secure1PSIDTS = this.jar.get('__Secure-1PSIDTS');
+            if (record.secure1PSIDTS && secure1PSIDTS !== record.secure1PSIDTS) {
+                if (secure1PSIDTS) {
+                    return null;
+                }
+                this.jar.set('__Secure-1PSIDTS', record.secure1PSIDTS);
+            }
+            return record.accessToken;
+        } catch (error) {
+            console.warn('[Init] Failed to read credential store:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Start background task to automatically refresh cookies
      */
@@ -97,10 +272,11 @@ export class GeminiClient {
                     console.log('[Auto-Refresh] Refreshing cookies...');
                 }
 
-                const new1PSIDTS = await rotate1PSIDTS(this.cookies, this.proxy);
+                const new1PSIDTS = await rotate1PSIDTS(this.jar, this.proxy, this.credentialStore, this.transport, this.endpoints);
 
                 if (new1PSIDTS) {
-                    this.cookies['__Secure-1PSIDTS'] = new1PSIDTS;
+                    this.jar.set('__Secure-1PSIDTS', new1PSIDTS);
+                    await this.notifyCookiesUpdate();
                     if (this.verbose) {
                         console.log('[Auto-Refresh] ✓ Cookies refreshed successfully');
                     }
@@ -116,6 +292,135 @@ export class GeminiClient {
         }
     }
 
+    /**
+     * Pass rotated cookies to the onCookiesUpdate callback
+     * Callback failures are logged so they never break a refresh
+     */
+    async notifyCookiesUpdate() {
+        if (!this.onCookiesUpdate) {
+            return;
+        }
+
+        try {
+            await this.onCookiesUpdate({ ...this.cookies });
+        } catch (error) {
+            console.error('[Cookie Refresh] Failed to save refreshed cookies:', error.message);
+        }
+    }
+
+    /**
+     * Recover an expired session by rotating __Secure-1PSIDTS and fetching a fresh access token
+     * Restarts auto-refresh if it is enabled
+     */
+    async refreshSession() {
+        if (this.verbose) {
+            console.log('[Refresh] Refreshing session...');
+        }
+
+        try {
+            const new1PSIDTS = await rotate1PSIDTS(this.jar, this.proxy, this.credentialStore, this.transport, this.endpoints);
+            if (new1PSIDTS) {
+                this.jar.set('__Secure-1PSIDTS', new1PSIDTS);
+                await this.notifyCookiesUpdate();
+            }
+        } catch (error) {
+            // A fresh access token may still work with the current cookies
+            if (this.verbose) {
+                console.warn('[Refresh] Cookie rotation failed:', error.message);
+            }
+        }
+
+        const { accessToken } = await getAccessToken(this.jar, this.proxy, this.credentialStore, this.transport, this.endpoints);
+
+        this.accessToken = accessToken;
+        this.running = true;
+        this.stale = false;
+
+        if (this.autoRefresh) {
+            this.startAutoRefresh();
+        }
+
+        if (this.verbose) {
+            console.log('[Refresh] ✓ Session refreshed');
+        }
+    }
+
+    /**
+     * Re-initialize a client left stale by an authentication failure, with a fresh access token
+     * Concurrent requests share a single init()
+     */
+    async recover() {
+        if (!this.recovery) {
+            this.recovery = this.init({ ...this.initOptions, accessTokenMaxAge: 0 })
+                .finally(() => { this.recovery = null; });
+        }
+        await this.recovery;
+    }
+
+    /**
+     * Run a request, retrying according to the retry policy
+     * Authentication failures trigger refreshSession() before the next attempt; if that fails
+     * too, the next request re-initializes the client first
+     *
+     * @param {Function} fn - Request to run
+     * @param {AbortSignal} signal - Optional signal that stops further attempts
+     * @returns {Promise<*>} Result of fn
+     */
+    async withRetry(fn, signal = null) {
+        const { maxAttempts = 1 } = this.retry;
+
+        if (this.stale) {
+            await this.recover();
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (rawError) {
+                const error = await this.handleRequestError(rawError);
+
+                if (attempt >= maxAttempts || signal?.aborted || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                if (error instanceof AuthError) {
+                    try {
+                        await this.refreshSession();
+                    } catch (refreshError) {
+                        if (this.verbose) {
+                            console.error('[Retry] Session refresh failed:', refreshError.message);
+                        }
+                        throw error;
+                    }
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                if (this.verbose) {
+                    console.warn(`[Retry] Attempt ${attempt}/${maxAttempts} failed (${error.message}), retrying in ${Math.round(delay / 100) / 10}s...`);
+                }
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Check whether an error matches one of the retryable error classes
+     */
+    isRetryable(error) {
+        return (this.retry.retryOn || []).some(ErrorClass => error instanceof ErrorClass);
+    }
+
+    /**
+     * Exponential backoff delay for a failed attempt, with optional jitter
+     */
+    getRetryDelay(attempt) {
+        const { baseDelay = 1000, maxDelay = 30000, jitter = true } = this.retry;
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+        // Jitter picks a delay between 50% and 100% of the backoff
+        return jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+    }
+
     /**
      * Stop auto-refresh and close the client
      */
@@ -136,378 +441,735 @@ export class GeminiClient {
      * 
      * @param {string} prompt - User prompt
      * @param {Object} options - Generation options
-     * @param {Object} options.model - Model to use (from Models constants)
+     * @param {Object|string} options.model - Model to use (Models constant, registered name or alias)
      * @param {Object} options.chat - ChatSession instance for conversation
+     * @param {Array} options.files - Files to attach (paths, Buffers, streams or { data, fileName })
+     * @param {boolean} options.debug - Attach schema diagnostics to the output as `diagnostics`
+     * @param {string} options.format - Text format: 'raw' (as sent by Gemini, default), 'markdown',
+     *   'html' or 'text', with googleusercontent placeholders resolved (see renderer.js)
+     * @param {boolean} options.footnotes - Number cited sources in the rendered text (Markdown if no
+     *   format is given)
+     * @param {boolean} options.temporary - Send as a temporary chat, which is not saved to the account's
+     *   Gemini history (always set for temporary chat sessions and clients); reported as `temporary`
+     * @param {string|Object} options.gem - Gem (id, or a gem from listGems) whose instructions the
+     *   conversation follows
+     * @param {string} options.systemInstruction - Instructions sent inline before the prompt, for
+     *   accounts without gems (chat sessions only send them on the first turn). Gemini stores them
+     *   as part of the message, so they show in its history; chat turns record the prompt alone
      * @returns {Promise<Object>} Model output
      */
     async generateContent(prompt, options = {}) {
+        this.validatePrompt(prompt);
+
+        const { model = Models.UNSPECIFIED, chat = null, files = [], debug, footnotes = false, gem, systemInstruction } = options;
+        const format = options.format || (footnotes ? 'markdown' : 'raw');
+        checkFormat(format);
+        const temporary = this.isTemporary(options);
+
+        const attachments = await this.readFiles(files);
+        const uploadedFiles = await this.withRetry(() => this.uploadFiles(attachments));
+
+        return await this.withRetry(async () => {
+            // Built per attempt so a refreshed access token and cookies are picked up
+            const config = this.buildGenerateConfig(prompt, model, chat, uploadedFiles, { temporary, gem, systemInstruction });
+            const response = await this.transport.request(config);
+            this.jar.storeResponseCookies(response, Endpoints.GENERATE);
+
+            if (response.status !== 200) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            // Parse response
+            const output = renderOutput(this.parseResponse(response.data, { debug }), format, { footnotes });
+            output.temporary = temporary;
+
+            // Update chat metadata if chat session provided
+            if (chat) {
+                this.updateChat(chat, prompt, output);
+            }
+
+            return output;
+        });
+    }
+
+    /**
+     * Generate content with Gemini, yielding partial output as StreamGenerate frames arrive
+     *
+     * Yields `{ type: 'delta', text, thoughts, rcid }` events carrying only the newly
+     * received characters of the first candidate, followed by a single
+     * `{ type: 'done', response }` event with the fully parsed output.
+     * Only the initial request is retried; failures after output started are thrown.
+     *
+     * @param {string} prompt - User prompt
+     * @param {Object} options - Generation options
+     * @param {Object|string} options.model - Model to use (Models constant, registered name or alias)
+     * @param {Object} options.chat - ChatSession instance for conversation
+     * @param {Array} options.files - Files to attach (paths, Buffers, streams or { data, fileName })
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @param {boolean} options.debug - Attach schema diagnostics to the final output as `diagnostics`
+     * @param {string} options.format - Text format of the final output (see generateContent); deltas
+     *   are always raw since placeholders can be split across frames
+     * @param {boolean} options.footnotes - Number cited sources in the final output (see generateContent)
+     * @param {boolean} options.temporary - Send as a temporary chat (see generateContent)
+     * @param {string|Object} options.gem - Gem the conversation follows (see generateContent)
+     * @param {string} options.systemInstruction - Instructions sent before the prompt (see generateContent)
+     * @returns {AsyncGenerator<Object>} Stream of delta events and a final done event
+     */
+    async *generateContentStream(prompt, options = {}) {
+        this.validatePrompt(prompt);
+
+        const { model = Models.UNSPECIFIED, chat = null, files = [], signal = null, debug, footnotes = false, gem, systemInstruction } = options;
+        const format = options.format || (footnotes ? 'markdown' : 'raw');
+        checkFormat(format);
+        const temporary = this.isTemporary(options);
+
+        const attachments = await this.readFiles(files);
+        const uploadedFiles = await this.withRetry(() => this.uploadFiles(attachments), signal);
+
+        const response = await this.withRetry(async () => {
+            const config = this.buildGenerateConfig(prompt, model, chat, uploadedFiles, { temporary, gem, systemInstruction });
+            config.responseType = 'stream';
+            if (signal) {
+                config.signal = signal;
+            }
+
+            const response = await this.transport.request(config);
+            this.jar.storeResponseCookies(response, Endpoints.GENERATE);
+
+            if (response.status !== 200) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            return response;
+        }, signal);
+
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let body = null;
+        let previousText = '';
+        let previousThoughts = '';
+
+        // Each frame is a length line followed by a single line of JSON,
+        // so complete lines can be parsed as soon as they arrive
+        const processLine = (line) => {
+            const frameBody = this.parseFrame(line);
+            if (!frameBody) {
+                return null;
+            }
+
+            body = frameBody;
+            const { text, thoughts, rcid } = this.parser.parseSnapshot(frameBody);
+
+            // Frames carry the cumulative text; skip snapshots that rewrite earlier output
+            const textDelta = text.startsWith(previousText) ? text.slice(previousText.length) : '';
+            const thoughtsDelta = thoughts.startsWith(previousThoughts) ? thoughts.slice(previousThoughts.length) : '';
+            previousText = text;
+            previousThoughts = thoughts;
+
+            if (!textDelta && !thoughtsDelta) {
+                return null;
+            }
+
+            return {
+                type: 'delta',
+                text: textDelta,
+                thoughts: thoughtsDelta || null,
+                rcid: rcid
+            };
+        };
+
+        try {
+            for await (const chunk of response.data) {
+                buffer += decoder.write(chunk);
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const event = processLine(line);
+                    if (event) {
+                        yield event;
+                    }
+                }
+            }
+
+            buffer += decoder.end();
+            if (buffer) {
+                const event = processLine(buffer);
+                if (event) {
+                    yield event;
+                }
+            }
+        } catch (error) {
+            throw await this.handleRequestError(error);
+        }
+
+        if (!body) {
+            throw new ParseError('Failed to parse response: No valid response body found');
+        }
+
+        const output = renderOutput(this.parseBody(body, { debug }), format, { footnotes });
+        output.temporary = temporary;
+
+        if (chat) {
+            this.updateChat(chat, prompt, output);
+        }
+
+        yield { type: 'done', response: output };
+    }
+
+    /**
+     * Ensure a prompt can be sent with the current client state
+     */
+    validatePrompt(prompt) {
         if (!prompt || prompt.trim() === '') {
             throw new Error('Prompt cannot be empty');
         }
 
-        if (!this.running) {
+        this.ensureRunning();
+    }
+
+    /**
+     * Whether a request is sent as a temporary chat: forced by the client, set on the chat
+     * session or requested in the options
+     */
+    isTemporary({ temporary = false, chat = null } = {}) {
+        return this.temporary || Boolean(chat && chat.temporary) || Boolean(temporary);
+    }
+
+    /**
+     * Ensure a conversation id was given
+     */
+    validateConversationId(cid) {
+        if (!cid || typeof cid !== 'string') {
+            throw new Error('Conversation id is required');
+        }
+    }
+
+    /**
+     * Ensure the client has been initialized (stale clients are re-initialized by withRetry)
+     */
+    ensureRunning() {
+        if (!this.running && !this.stale) {
             throw new Error('Client not initialized. Call init() first.');
         }
+    }
 
-        const { model = Models.UNSPECIFIED, chat = null } = options;
+    /**
+     * Upload a file so it can be referenced in a prompt
+     *
+     * @param {string|Buffer|Readable|Object} file - Local path, Buffer, readable stream or { data, fileName }
+     * @returns {Promise<{fileId: string, fileName: string}>} Uploaded file reference
+     */
+    async uploadFile(file) {
+        return await uploadFile(file, this.proxy, this.jar, this.transport, this.endpoints);
+    }
 
-        try {
-            // Prepare request data
-            const requestData = [
-                null,
-                JSON.stringify([
-                    [prompt],
-                    null,
-                    chat ? chat.metadata : null
-                ])
-            ];
-
-            const formData = new URLSearchParams();
-            formData.append('at', this.accessToken);
-            formData.append('f.req', JSON.stringify(requestData));
+    /**
+     * Read the files attached to a prompt into memory once, before any upload attempt
+     * Streams can only be read once, so retried uploads send the buffered contents
+     *
+     * @param {Array} files - Paths, Buffers, streams or { data, fileName }
+     * @returns {Promise<Array<{data: Buffer, fileName: string}>>} Files with their contents
+     */
+    async readFiles(files) {
+        return await Promise.all((files || []).map(file => readFileInput(file)));
+    }
 
-            const config = {
-                method: 'post',
-                url: Endpoints.GENERATE,
-                headers: {
-                    ...Headers.GEMINI,
-                    ...model.header,
-                    'Cookie': Object.entries(this.cookies)
-                        .map(([k, v]) => `${k}=${v}`)
-                        .join('; ')
-                },
-                data: formData.toString(),
-                timeout: this.timeout,
-                maxRedirects: 5
-            };
+    /**
+     * Upload all files attached to a prompt
+     */
+    async uploadFiles(files) {
+        if (!files || files.length === 0) {
+            return [];
+        }
 
-            if (this.proxy) {
-                config.proxy = this.parseProxyUrl(this.proxy);
-            }
+        if (this.verbose) {
+            console.log(`[Upload] Uploading ${files.length} file(s)...`);
+        }
+
+        return await Promise.all(files.map(file => this.uploadFile(file)));
+    }
+
+    /**
+     * Build the axios request config for a StreamGenerate call
+     */
+    buildGenerateConfig(prompt, model, chat, uploadedFiles = [], { temporary = false, gem = null, systemInstruction = null } = {}) {
+        // Client-side instructions are plain text ahead of the prompt; updateChat records the prompt alone
+        const text = systemInstruction ? `${systemInstruction}\n\n${prompt}` : prompt;
+
+        // Uploaded files are referenced as [[fileId], fileName] after the prompt
+        const message = uploadedFiles.length > 0
+            ? [text, 0, null, uploadedFiles.map(file => [[file.fileId], file.fileName])]
+            : [text];
+
+        const request = [
+            message,
+            null,
+            chat ? chat.metadata : null
+        ];
+
+        // The gem id goes at index 19
+        const gemId = getGemId(gem);
+        if (gemId) {
+            request[19] = gemId;
+        }
+
+        // Temporary chats are flagged at index 45 and never saved to the account's history
+        if (temporary) {
+            request[45] = 1;
+        }
 
-            const response = await axios(config);
+        // Prepare request data
+        const requestData = [
+            null,
+            JSON.stringify(request)
+        ];
+
+        const formData = new URLSearchParams();
+        formData.append('at', this.accessToken);
+        formData.append('f.req', JSON.stringify(requestData));
+
+        const config = {
+            method: 'post',
+            url: this.endpoints.GENERATE,
+            headers: {
+                ...Headers.GEMINI,
+                ...resolveModel(model).header,
+                'Cookie': this.jar.getCookieHeader(Endpoints.GENERATE)
+            },
+            data: formData.toString(),
+            timeout: this.timeout,
+            maxRedirects: 5
+        };
+
+        if (this.proxy) {
+            config.proxy = this.parseProxyUrl(this.proxy);
+        }
+
+        return config;
+    }
+
+    /**
+     * Call batchexecute RPCs (conversation list, history, ...) in a single request
+     *
+     * @param {Array<Object>} calls - [{ rpcid, payload }] with distinct rpcids (see RpcIds)
+     * @returns {Promise<Array>} Decoded result of each call, in order
+     */
+    async batchExecute(calls) {
+        this.ensureRunning();
+
+        return await this.withRetry(async () => {
+            const config = this.buildBatchConfig(calls);
+            const response = await this.transport.request(config);
+            this.jar.storeResponseCookies(response, Endpoints.BATCH_EXEC);
 
             if (response.status !== 200) {
                 throw new Error(`Request failed with status ${response.status}`);
             }
 
-            // Parse response
-            const output = this.parseResponse(response.data);
+            return calls.map(call => this.parser.parseBatchResponse(String(response.data), call.rpcid));
+        });
+    }
 
-            // Update chat metadata if chat session provided
-            if (chat) {
-                chat.lastOutput = output;
-                chat.metadata = output.metadata;
-                chat.rcid = output.rcid;
-            }
+    /**
+     * Build the axios request config for a batchexecute call
+     */
+    buildBatchConfig(calls) {
+        const formData = new URLSearchParams();
+        formData.append('at', this.accessToken);
+        formData.append('f.req', JSON.stringify([
+            calls.map(call => [call.rpcid, JSON.stringify(call.payload), null, 'generic'])
+        ]));
+
+        const query = new URLSearchParams({
+            'rpcids': calls.map(call => call.rpcid).join(','),
+            'source-path': '/app',
+            'rt': 'c'
+        });
 
-            return output;
-        } catch (error) {
-            if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-                throw new Error('Request timed out. Consider increasing timeout value.');
-            }
+        const config = {
+            method: 'post',
+            url: `${this.endpoints.BATCH_EXEC}?${query}`,
+            headers: {
+                ...Headers.GEMINI,
+                'Cookie': this.jar.getCookieHeader(Endpoints.BATCH_EXEC)
+            },
+            data: formData.toString(),
+            timeout: this.timeout,
+            maxRedirects: 5
+        };
 
-            if (error.response?.status === 401 || error.response?.status === 403) {
-                await this.close();
-                throw new Error('Authentication failed. Cookies may have expired. Please reinitialize.');
-            }
+        if (this.proxy) {
+            config.proxy = this.parseProxyUrl(this.proxy);
+        }
 
-            throw error;
+        return config;
+    }
+
+    /**
+     * Record the output as the newest turn of a chat session (see ChatSession.recordTurn)
+     */
+    updateChat(chat, prompt, output) {
+        chat.recordTurn(prompt, output);
+    }
+
+    /**
+     * Translate a failed generate request into the error surfaced to callers
+     *
+     * @param {Error} error - Error raised by axios or response parsing
+     * @returns {Promise<Error>} Error to throw
+     */
+    async handleRequestError(error) {
+        if (error instanceof GeminiError) {
+            return error;
+        }
+
+        if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+            return new TimeoutError('Request timed out. Consider increasing timeout value.', { cause: error });
+        }
+
+        // Kept running: withRetry refreshes the session, or re-initializes on the next request
+        if (error.response?.status === 401 || error.response?.status === 403) {
+            this.stale = true;
+            return new AuthError('Authentication failed. Cookies may have expired.', { cause: error });
+        }
+
+        if (error.response?.status === 429) {
+            return new RateLimitError('Too many requests. Google is rate limiting this account.', { cause: error });
         }
+
+        if (error.response?.status >= 500 || TRANSIENT_NETWORK_CODES.includes(error.code)) {
+            return new NetworkError(`Network error: ${error.message}`, { cause: error });
+        }
+
+        return error;
     }
 
     /**
      * Detect MIME type from file extension
      */
     detectMimeType(fileName) {
-        if (!fileName) return 'text/plain';
-        
-        const ext = fileName.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            // Programming languages
-            'js': 'text/javascript',
-            'ts': 'text/typescript',
-            'py': 'text/x-python',
-            'cpp': 'text/x-c++',
-            'c': 'text/x-c',
-            'h': 'text/x-c',
-            'hpp': 'text/x-c++',
-            'java': 'text/x-java',
-            'cs': 'text/x-csharp',
-            'php': 'text/x-php',
-            'rb': 'text/x-ruby',
-            'go': 'text/x-go',
-            'rs': 'text/x-rust',
-            'swift': 'text/x-swift',
-            'kt': 'text/x-kotlin',
-            // Web
-            'html': 'text/html',
-            'css': 'text/css',
-            'json': 'application/json',
-            'xml': 'application/xml',
-            // Shell
-            'sh': 'application/x-sh',
-            'bash': 'application/x-sh',
-            // Text
-            'txt': 'text/plain',
-            'md': 'text/markdown',
-            // Other
-            'sql': 'application/sql',
-            'yaml': 'text/yaml',
-            'yml': 'text/yaml'
-        };
-        
-        return mimeTypes[ext] || 'text/plain';
+        return detectMimeType(fileName);
     }
 
     /**
      * Parse Gemini API response data
      * Extracts all content types: text, images, code, files, sources, etc.
-     * 
+     * Fields are located with the client's response schema (see parser.js)
+     *
      * @param {string} responseText - Raw response from Gemini API
+     * @param {Object} options - { debug } to attach schema diagnostics to the output
      * @returns {Object} Parsed response with candidates and content
      */
-    parseResponse(responseText) {
-        try {
-            const lines = responseText.split('\n');
-            if (lines.length < 3) {
-                throw new Error('Invalid response format');
-            }
+    parseResponse(responseText, options = {}) {
+        return this.parser.parseResponse(responseText, options);
+    }
 
-            const responseJson = JSON.parse(lines[2]);
-
-            // Locate the main response body containing candidates
-            let body = null;
-            let bodyIndex = 0;
-            for (let i = 0; i < responseJson.length; i++) {
-                try {
-                    const mainPart = JSON.parse(responseJson[i][2]);
-                    if (mainPart[4]) {
-                        body = mainPart;
-                        bodyIndex = i;
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+    /**
+     * Locate the main response body containing candidates within a decoded frame
+     *
+     * @param {Array} responseJson - Decoded StreamGenerate frame
+     * @returns {Array|null} Response body or null if the frame has no candidates
+     */
+    findResponseBody(responseJson) {
+        return this.parser.findResponseBody(responseJson);
+    }
 
-            if (!body) {
-                throw new Error('No valid response body found');
-            }
+    /**
+     * Decode a single line of a StreamGenerate body
+     *
+     * @param {string} line - Raw response line
+     * @returns {Array|null} Response body or null if the line carries no candidates
+     * @throws {GeminiError} If the frame is an error frame
+     */
+    parseFrame(line) {
+        return this.parser.parseFrame(line);
+    }
 
-            // Parse all response candidates
-            const candidates = [];
-            for (let candidateIndex = 0; candidateIndex < body[4].length; candidateIndex++) {
-                const candidate = body[4][candidateIndex];
-                let text = candidate[1][0];
+    /**
+     * Extract all content types from a response body
+     *
+     * @param {Array} body - Response body located by findResponseBody
+     * @param {Object} options - { debug } to attach schema diagnostics to the output
+     * @returns {Object} Parsed response with candidates and content
+     */
+    parseBody(body, options = {}) {
+        return this.parser.parseBody(body, options);
+    }
 
-                // Handle special card content (replace URL with actual text)
-                if (text && text.match(/^http:\/\/googleusercontent\.com\/card_content\/\d+/)) {
-                    text = (candidate[22] && candidate[22][0]) || text;
-                }
+    /**
+     * Start a new chat session
+     */
+    startChat(options = {}) {
+        return new ChatSession(this, { ...options, temporary: this.temporary || options.temporary });
+    }
 
-                // Extract thoughts (for thinking models)
-                let thoughts = null;
-                try {
-                    if (candidate[37] && candidate[37][0]) {
-                        thoughts = candidate[37][0][0];
-                    }
-                } catch (e) {
-                    // No thoughts available
-                }
+    /**
+     * List the account's conversations, pinned ones first, then most recently updated
+     *
+     * @param {Object} options - Paging options
+     * @param {number} options.limit - Conversations per page
+     * @param {string} options.pageToken - nextPageToken of the previous page
+     * @returns {Promise<Object>} { chats: [{ cid, title, pinned, updatedAt }], nextPageToken }
+     *   (nextPageToken is null on the last page)
+     */
+    async listChats(options = {}) {
+        const { limit = 20, pageToken = null } = options;
 
-                /**
-                 * Extract file attachments (code files, documents, etc.)
-                 * Gemini includes generated files in candidate[30] array
-                 * Structure: [fileName, fileId, title, null, content]
-                 */
-                const fileAttachments = [];
-                try {
-                    const immersiveChipRegex = /http:\/\/googleusercontent\.com\/immersive_entry_chip\/(\d+)/g;
-                    const chipMatches = text.match(immersiveChipRegex);
-                    
-                    // Extract from candidate[30] (primary location for generated files)
-                    if (candidate[30] && Array.isArray(candidate[30])) {
-                        for (const file of candidate[30]) {
-                            if (file && Array.isArray(file) && file.length >= 5) {
-                                fileAttachments.push({
-                                    fileName: file[0] || 'file.txt',
-                                    mimeType: this.detectMimeType(file[0]),
-                                    url: chipMatches ? chipMatches[0] : null,
-                                    title: file[2] || null,
-                                    content: file[4] || null
-                                });
-                            }
-                        }
-                    }
-                } catch (e) {
-                    // Silent fail - file attachments are optional
-                }
+        const [payload] = await this.batchExecute([
+            { rpcid: RpcIds.LIST_CHATS, payload: [limit, pageToken, [0, null, 1]] }
+        ]);
+        return this.parser.parseChatList(payload);
+    }
 
-                /**
-                 * Extract code blocks
-                 * Primary: From structured data in candidate[14]
-                 * Fallback: Parse markdown code blocks from text
-                 */
-                const codeBlocks = [];
-                try {
-                    if (candidate[14] && Array.isArray(candidate[14])) {
-                        for (const code of candidate[14]) {
-                            if (code && code[1]) {
-                                codeBlocks.push({
-                                    language: code[0] || 'text',
-                                    code: code[1]
-                                });
-                            }
-                        }
-                    }
-                    
-                    // Fallback: Extract from markdown syntax in text
-                    if (codeBlocks.length === 0 && text) {
-                        const codeBlockRegex = /```(\w+)?\n([\s\S]*?)```/g;
-                        let match;
-                        while ((match = codeBlockRegex.exec(text)) !== null) {
-                            codeBlocks.push({
-                                language: match[1] || 'text',
-                                code: match[2].trim()
-                            });
-                        }
-                    }
-                } catch (e) {
-                    // Code blocks are optional
-                }
+    /**
+     * Read the turns of a conversation, e.g. one started in the browser
+     * Replies are parsed like generateContent output, with the candidate chosen in the
+     * conversation as the default response
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - History options
+     * @param {number} options.limit - Number of most recent turns to read
+     * @param {boolean} options.debug - Attach schema diagnostics as `diagnostics`
+     * @param {string} options.format - Text format of the replies (see generateContent)
+     * @param {boolean} options.footnotes - Number cited sources in the replies (see generateContent)
+     * @returns {Promise<Object>} { cid, turns: [{ rid, rcid, prompt, createdAt, output }] } oldest first
+     */
+    async getChatHistory(cid, options = {}) {
+        this.validateConversationId(cid);
 
-                /**
-                 * Extract code execution results (if Gemini ran code)
-                 * Structure: [output, error]
-                 */
-                let codeExecutionResult = null;
-                try {
-                    if (candidate[16] && candidate[16][0]) {
-                        codeExecutionResult = {
-                            output: candidate[16][0],
-                            error: candidate[16][1] || null
-                        };
-                    }
-                } catch (e) {
-                    // Execution results are optional
-                }
+        const { limit = 50, debug, footnotes = false } = options;
+        const format = options.format || (footnotes ? 'markdown' : 'raw');
+        checkFormat(format);
 
-                /**
-                 * Extract factuality rating and web sources
-                 * Factuality: candidate[45] - [rating, confidence]
-                 * Sources: candidate[11] - Array of [title, url, snippet]
-                 */
-                let factuality = null;
-                const sources = [];
-                try {
-                    if (candidate[45]) {
-                        factuality = {
-                            rating: candidate[45][0] || null,
-                            confidence: candidate[45][1] || null
-                        };
-                    }
-                    if (candidate[11] && Array.isArray(candidate[11])) {
-                        for (const source of candidate[11]) {
-                            if (source && source[0]) {
-                                sources.push({
-                                    title: source[0][0] || '',
-                                    url: source[0][1] || '',
-                                    snippet: source[0][2] || ''
-                                });
-                            }
-                        }
-                    }
-                } catch (e) {
-                    // Factuality and sources are optional
-                }
+        const [payload] = await this.batchExecute([
+            { rpcid: RpcIds.READ_CHAT, payload: [cid, limit, null, 1, [1], [4], null, 1] }
+        ]);
 
-                /**
-                 * Extract web images (from search results)
-                 * Location: candidate[12][1]
-                 */
-                const webImages = [];
-                if (candidate[12] && candidate[12][1]) {
-                    for (const webImage of candidate[12][1]) {
-                        webImages.push({
-                            type: 'web_image',
-                            url: webImage[0][0][0],
-                            title: webImage[7][0],
-                            alt: webImage[0][4]
-                        });
-                    }
-                }
+        const history = this.parser.parseChatHistory(payload, { debug });
+        for (const turn of history.turns) {
+            renderOutput(turn.output, format, { footnotes });
+        }
 
-                /**
-                 * Extract AI-generated images
-                 * Location: candidate[12][7][0]
-                 */
-                const generatedImages = [];
-                if (candidate[12] && candidate[12][7] && candidate[12][7][0]) {
-                    for (const genImage of candidate[12][7][0]) {
-                        try {
-                            generatedImages.push({
-                                type: 'generated_image',
-                                url: genImage[0][3][3],
-                                title: genImage[3] && genImage[3][6] ? `Generated Image ${genImage[3][6]}` : 'Generated Image',
-                                alt: genImage[3] && genImage[3][5] && genImage[3][5][0] ? genImage[3][5][0] : ''
-                            });
-                        } catch (e) {
-                            // Skip malformed images
-                        }
-                    }
-                }
+        return { cid, ...history };
+    }
 
-                // Combine all images into single array
-                const allImages = [...webImages, ...generatedImages];
-
-                candidates.push({
-                    rcid: candidate[0],
-                    text: text,
-                    thoughts: thoughts,
-                    webImages: webImages,
-                    generatedImages: generatedImages,
-                    images: allImages,
-                    fileAttachments: fileAttachments,
-                    codeBlocks: codeBlocks,
-                    codeExecutionResult: codeExecutionResult,
-                    factuality: factuality,
-                    sources: sources
-                });
+    /**
+     * Continue a conversation started elsewhere (e.g. in the browser) from its latest turn
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - ChatSession options, plus the number of turns to load (limit)
+     * @returns {Promise<ChatSession>} Session with the conversation's turns
+     */
+    async resumeChat(cid, options = {}) {
+        const { limit, ...chatOptions } = options;
+        const history = await this.getChatHistory(cid, { limit });
+        return ChatSession.fromHistory(this, history, chatOptions);
+    }
+
+    /**
+     * Delete a conversation from the account's Gemini history
+     *
+     * @param {string} cid - Conversation id
+     */
+    async deleteChat(cid) {
+        this.validateConversationId(cid);
+        await this.batchExecute([{ rpcid: RpcIds.DELETE_CHAT, payload: [cid] }]);
+    }
+
+    /**
+     * Rename a conversation
+     *
+     * @param {string} cid - Conversation id
+     * @param {string} title - New title
+     * @throws {NotFoundError} If the account has no such conversation
+     */
+    async renameChat(cid, title) {
+        if (typeof title !== 'string' || title.trim() === '') {
+            throw new Error('Title cannot be empty');
+        }
+        await this.editChat(cid, 'title', [cid, title.trim()]);
+    }
+
+    /**
+     * Pin a conversation to the top of the list, or unpin it
+     *
+     * @param {string} cid - Conversation id
+     * @param {boolean} pinned - Whether the conversation is pinned
+     * @throws {NotFoundError} If the account has no such conversation
+     */
+    async pinChat(cid, pinned = true) {
+        await this.editChat(cid, 'pinned', [cid, null, Boolean(pinned)]);
+    }
+
+    /**
+     * Update one field of a conversation
+     * Values use the conversation list layout [cid, title, pinned]; the mask names the field to change
+     */
+    async editChat(cid, field, values) {
+        this.validateConversationId(cid);
+        await this.batchExecute([{ rpcid: RpcIds.EDIT_CHAT, payload: [null, [[field]], values] }]);
+    }
+
+    /**
+     * Create a public link to a conversation
+     * The link shows the conversation as it is now; later turns are not added to it
+     *
+     * @param {string} cid - Conversation id
+     * @returns {Promise<Object>} { cid, shareId, url } with url on g.co/gemini/share
+     * @throws {NotFoundError} If the account has no such conversation
+     */
+    async shareChat(cid) {
+        this.validateConversationId(cid);
+
+        const [result] = await this.batchExecute([{ rpcid: RpcIds.SHARE_CHAT, payload: [cid] }]);
+        const shareId = Array.isArray(result) ? result[0] : null;
+        if (typeof shareId !== 'string') {
+            throw new ParseError('Failed to parse response: No share id in SHARE_CHAT result');
+        }
+
+        return { cid, shareId, url: `${SHARE_LINK_BASE}/${shareId}` };
+    }
+
+    /**
+     * Remove a public link created with shareChat
+     *
+     * @param {string} share - Share id or link
+     */
+    async unshareChat(share) {
+        await this.batchExecute([{ rpcid: RpcIds.UNSHARE_CHAT, payload: [getShareId(share)] }]);
+    }
+
+    /**
+     * Read a shared conversation from its public page
+     * Share pages are public, so this sends no cookies and does not need init()
+     *
+     * @param {string} share - Share id or link
+     * @param {Object} options - { debug, format, footnotes } as for getChatHistory
+     * @returns {Promise<Object>} { shareId, title, createdAt, url, turns: [{ rid, rcid, prompt, createdAt, output }] } oldest first
+     * @throws {NotFoundError} If there is no such share, or it was removed
+     */
+    async getSharedChat(share, options = {}) {
+        const shareId = getShareId(share);
+        const { debug, footnotes = false } = options;
+        const format = options.format || (footnotes ? 'markdown' : 'raw');
+        checkFormat(format);
+
+        return await this.withRetry(async () => {
+            const config = {
+                method: 'get',
+                url: `${this.endpoints.SHARE}/${shareId}`,
+                headers: {
+                    'User-Agent': Headers.GEMINI['User-Agent']
+                },
+                timeout: this.timeout,
+                maxRedirects: 5,
+                validateStatus: status => status < 500
+            };
+            if (this.proxy) {
+                config.proxy = this.parseProxyUrl(this.proxy);
             }
 
-            if (candidates.length === 0) {
-                throw new Error('No candidates found in response');
+            const response = await this.transport.request(config);
+            if (response.status === 404) {
+                throw new NotFoundError(`Shared conversation ${shareId} not found`);
+            }
+            if (response.status !== 200) {
+                throw new Error(`Request failed with status ${response.status}`);
             }
 
-            // Return parsed response with all content types
-            return {
-                metadata: body[1],
-                candidates: candidates,
-                // Default response (first candidate)
-                text: candidates[0].text,
-                thoughts: candidates[0].thoughts,
-                images: candidates[0].images,
-                webImages: candidates[0].webImages,
-                generatedImages: candidates[0].generatedImages,
-                fileAttachments: candidates[0].fileAttachments,
-                codeBlocks: candidates[0].codeBlocks,
-                codeExecutionResult: candidates[0].codeExecutionResult,
-                factuality: candidates[0].factuality,
-                sources: candidates[0].sources,
-                rcid: candidates[0].rcid
-            };
-        } catch (error) {
-            throw new Error(`Failed to parse response: ${error.message}`);
+            const shared = this.parser.parseSharePage(String(response.data), { debug });
+            for (const turn of shared.turns) {
+                renderOutput(turn.output, format, { footnotes });
+            }
+
+            return { ...shared, shareId: shared.shareId || shareId, url: `${SHARE_LINK_BASE}/${shareId}` };
+        });
+    }
+
+    /**
+     * List the account's gems (custom personas with their own instructions)
+     *
+     * @param {Object} options - List options
+     * @param {boolean} options.predefined - Also list Google's predefined gems, after the custom ones
+     * @returns {Promise<Object>} { gems: [{ id, name, description, instructions, predefined }] }
+     */
+    async listGems(options = {}) {
+        const { predefined = false } = options;
+
+        // Both lists use the same rpcid, so they cannot share a batchexecute request
+        const types = predefined ? [GemListTypes.CUSTOM, GemListTypes.PREDEFINED] : [GemListTypes.CUSTOM];
+        const lists = await Promise.all(types.map(async type => {
+            const [payload] = await this.batchExecute([{ rpcid: RpcIds.LIST_GEMS, payload: [type, ['en'], 0] }]);
+            return this.parser.parseGemList(payload, type === GemListTypes.PREDEFINED);
+        }));
+
+        return { gems: lists.flat() };
+    }
+
+    /**
+     * Create a gem
+     *
+     * @param {Object} gem - { name, instructions, description }
+     * @returns {Promise<Object>} { id, name, description, instructions, predefined }
+     */
+    async createGem(gem = {}) {
+        const fields = this.buildGemFields(gem);
+        const [result] = await this.batchExecute([{ rpcid: RpcIds.CREATE_GEM, payload: [fields] }]);
+
+        const id = Array.isArray(result) ? result[0] : null;
+        if (typeof id !== 'string') {
+            throw new ParseError('Failed to parse response: No gem id in CREATE_GEM result');
         }
+        return { id, name: fields[0], description: fields[1], instructions: fields[2], predefined: false };
     }
 
     /**
-     * Start a new chat session
+     * Replace the name, description and instructions of a gem
+     *
+     * @param {string} id - Gem id
+     * @param {Object} gem - { name, instructions, description }
+     * @returns {Promise<Object>} { id, name, description, instructions, predefined }
+     * @throws {NotFoundError} If the account has no such gem
      */
-    startChat(options = {}) {
-        return new ChatSession(this, options);
+    async updateGem(id, gem = {}) {
+        this.validateGemId(id);
+        const fields = this.buildGemFields(gem);
+        await this.batchExecute([{ rpcid: RpcIds.UPDATE_GEM, payload: [id, [...fields, 0]] }]);
+        return { id, name: fields[0], description: fields[1], instructions: fields[2], predefined: false };
+    }
+
+    /**
+     * Delete a gem
+     *
+     * @param {string} id - Gem id
+     */
+    async deleteGem(id) {
+        this.validateGemId(id);
+        await this.batchExecute([{ rpcid: RpcIds.DELETE_GEM, payload: [id] }]);
+    }
+
+    /**
+     * Ensure a gem id was given
+     */
+    validateGemId(id) {
+        if (typeof id !== 'string' || id.trim() === '') {
+            throw new Error('Gem id is required');
+        }
+    }
+
+    /**
+     * Gem fields in the CREATE_GEM/UPDATE_GEM layout [name, description, instructions, ...]
+     */
+    buildGemFields({ name, description = '', instructions } = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Gem name cannot be empty');
+        }
+        if (typeof instructions !== 'string' || instructions.trim() === '') {
+            throw new Error('Gem instructions cannot be empty');
+        }
+        return [name.trim(), String(description || '').trim(), instructions.trim(), null, null, null, null, null, 0, null, 1, null, null, null, []];
     }
 
     /**
@@ -531,11 +1193,37 @@ export class GeminiClient {
  * Chat Session for maintaining conversation context
  */
 export class ChatSession {
+    /**
+     * @param {Object} geminiClient - Client (or pool) to send messages with
+     * @param {Object} options - Session options
+     * @param {Object|string} options.model - Model to use
+     * @param {Array} options.metadata - Conversation metadata [cid, rid, rcid] to continue from
+     * @param {Array<Object>} options.turns - Turn tree from toJSON()
+     * @param {number} options.currentTurnId - Turn the conversation continues from
+     * @param {Array} options.rootMetadata - Metadata before the first turn
+     * @param {boolean} options.temporary - Temporary chat: messages are not saved to the account's
+     *   Gemini history, so the conversation cannot be listed, read or resumed from there
+     * @param {string|Object} options.gem - Gem (id, or a gem from listGems) every message goes through
+     * @param {string} options.systemInstruction - Instructions sent ahead of the first prompt of a new
+     *   conversation (Gemini keeps them in context afterwards)
+     */
     constructor(geminiClient, options = {}) {
         this.geminiClient = geminiClient;
         this.metadata = [null, null, null]; // [cid, rid, rcid]
         this.lastOutput = null;
-        this.model = options.model || Models.UNSPECIFIED;
+        this.model = resolveModel(options.model || Models.UNSPECIFIED);
+        this.temporary = Boolean(options.temporary);
+        this.gem = getGemId(options.gem);
+        this.systemInstruction = options.systemInstruction || null;
+
+        /**
+         * Every turn sent in this session, in order: { id, parentId, prompt, parentMetadata,
+         * metadata, candidates: [{ rcid, text }], chosen, createdAt }. Regenerated and edited
+         * turns share a parent, so the turns form a tree
+         */
+        this.turns = [];
+        this.currentTurnId = null;
+        this.outputs = new Map(); // Full outputs by turn id (not serialized)
 
         // Initialize metadata if provided
         if (options.metadata) {
@@ -544,36 +1232,274 @@ export class ChatSession {
         if (options.cid) this.cid = options.cid;
         if (options.rid) this.rid = options.rid;
         if (options.rcid) this.rcid = options.rcid;
+
+        this.rootMetadata = options.rootMetadata ? [...options.rootMetadata] : [...this.metadata];
+        if (options.turns) {
+            this.turns = structuredClone(options.turns);
+            this.currentTurnId = options.currentTurnId ?? null;
+        }
     }
 
     /**
      * Send a message in this chat session
+     * Accepts the same options as GeminiClient.generateContent (e.g. files)
      */
     async sendMessage(prompt, options = {}) {
         return await this.geminiClient.generateContent(prompt, {
             ...options,
             model: this.model,
+            gem: this.gem,
+            systemInstruction: this.getSystemInstruction(),
+            chat: this
+        });
+    }
+
+    /**
+     * Send a message in this chat session, streaming the reply
+     * Yields the same events as GeminiClient.generateContentStream
+     */
+    sendMessageStream(prompt, options = {}) {
+        return this.geminiClient.generateContentStream(prompt, {
+            ...options,
+            model: this.model,
+            gem: this.gem,
+            systemInstruction: this.getSystemInstruction(),
             chat: this
         });
     }
 
     /**
-     * Choose a specific candidate from last output
+     * Instructions to send with the next message: only when it starts a new conversation,
+     * which includes editing the first turn
+     */
+    getSystemInstruction() {
+        return this.cid ? null : this.systemInstruction;
+    }
+
+    /**
+     * Add a reply to the turn tree as a child of the current turn and continue from it
+     *
+     * @param {string} prompt - Prompt that was sent
+     * @param {Object} output - Parsed output
+     * @returns {Object} The new turn
+     */
+    recordTurn(prompt, output) {
+        const [cid, rid] = output.metadata || [];
+        const turn = {
+            id: this.turns.length + 1,
+            parentId: this.currentTurnId,
+            prompt,
+            parentMetadata: [...this.metadata],
+            metadata: [cid ?? null, rid ?? null, output.rcid ?? null],
+            candidates: output.candidates.map(candidate => ({ rcid: candidate.rcid, text: candidate.text })),
+            chosen: 0,
+            createdAt: Date.now()
+        };
+
+        this.turns.push(turn);
+        this.outputs.set(turn.id, output);
+        this.currentTurnId = turn.id;
+        this.metadata = [...turn.metadata];
+        this.lastOutput = output;
+
+        return turn;
+    }
+
+    /**
+     * Get a turn by id
+     *
+     * @param {number} turnId - Turn id
+     * @returns {Object|null} Turn or null if the session has no such turn
+     */
+    getTurn(turnId) {
+        return this.turns.find(turn => turn.id === turnId) || null;
+    }
+
+    /**
+     * Turns from the first one to a turn (the current one by default)
+     *
+     * @param {number|null} turnId - Last turn of the path
+     * @returns {Array<Object>} Turns in conversation order
+     */
+    getPath(turnId = this.currentTurnId) {
+        const path = [];
+        for (let turn = this.getTurn(turnId); turn; turn = this.getTurn(turn.parentId)) {
+            path.unshift(turn);
+        }
+        return path;
+    }
+
+    /**
+     * Continue the conversation from a turn (null for the start of the conversation)
+     * The next message is sent as a reply to that turn's chosen candidate
+     *
+     * @param {number|null} turnId - Turn to continue from
+     * @returns {Object|null} The turn
      */
-    chooseCandidate(index) {
-        if (!this.lastOutput) {
+    checkout(turnId) {
+        const turn = turnId === null ? null : this.requireTurn(turnId);
+
+        this.currentTurnId = turn ? turn.id : null;
+        this.metadata = turn ? [...turn.metadata] : [...this.rootMetadata];
+        this.lastOutput = turn ? this.outputs.get(turn.id) || null : null;
+
+        return turn;
+    }
+
+    /**
+     * Switch to the branch containing a turn, continuing from its most recent reply
+     * (e.g. pass a regenerated sibling of an earlier turn to continue that version)
+     *
+     * @param {number} turnId - Any turn of the branch
+     * @returns {Object} The turn the conversation now continues from
+     */
+    switchBranch(turnId) {
+        let turn = this.requireTurn(turnId);
+        for (let children = this.getChildren(turn.id); children.length > 0; children = this.getChildren(turn.id)) {
+            turn = children[children.length - 1];
+        }
+        return this.checkout(turn.id);
+    }
+
+    /**
+     * Turns sent as replies to a turn (null for the first turns), oldest first
+     */
+    getChildren(turnId) {
+        return this.turns.filter(turn => turn.parentId === turnId);
+    }
+
+    /**
+     * Ids of the Google conversations behind this session
+     * Usually one, but editing the first turn of a new chat starts another conversation
+     *
+     * @returns {Array<string>} Conversation ids
+     */
+    getConversationIds() {
+        const cids = [this.rootMetadata[0], this.metadata[0], ...this.turns.map(turn => turn.metadata[0])];
+        return [...new Set(cids.filter(Boolean))];
+    }
+
+    /**
+     * Delete the session's conversations from the account's Gemini history
+     *
+     * @returns {Promise<Array<string>>} Ids of the deleted conversations
+     */
+    async deleteConversations() {
+        // Temporary conversations were never saved
+        if (this.temporary) {
+            return [];
+        }
+
+        const cids = this.getConversationIds();
+        for (const cid of cids) {
+            await this.geminiClient.deleteChat(cid);
+        }
+        return cids;
+    }
+
+    /**
+     * Send the prompt of the current turn again, producing a new reply next to it
+     * Attachments are not stored, so pass them again in options.files if needed
+     *
+     * @param {Object} options - Same options as sendMessage
+     * @returns {Promise<Object>} Model output
+     */
+    async regenerate(options = {}) {
+        if (this.currentTurnId === null) {
+            throw new Error('No previous turn to regenerate in this chat session');
+        }
+        const turn = this.requireTurn(this.currentTurnId);
+        return await this.sendFrom(turn, turn.prompt, options);
+    }
+
+    /**
+     * Replace the prompt of an earlier turn and continue the conversation from the new reply
+     * The original turn and everything after it stay available as another branch
+     *
+     * @param {number} turnId - Turn whose prompt is replaced
+     * @param {string} prompt - New prompt
+     * @param {Object} options - Same options as sendMessage
+     * @returns {Promise<Object>} Model output
+     */
+    async editTurn(turnId, prompt, options = {}) {
+        return await this.sendFrom(this.requireTurn(turnId), prompt, options);
+    }
+
+    /**
+     * Send a prompt from the point the turn was sent from, restoring the current turn on failure
+     */
+    async sendFrom(turn, prompt, options) {
+        const previous = { currentTurnId: this.currentTurnId, metadata: [...this.metadata], lastOutput: this.lastOutput };
+
+        this.currentTurnId = turn.parentId;
+        this.metadata = [...turn.parentMetadata];
+        try {
+            return await this.sendMessage(prompt, options);
+        } catch (error) {
+            Object.assign(this, previous);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a public link to this session's conversation (see GeminiClient.shareChat)
+     *
+     * @returns {Promise<Object>} { cid, shareId, url }
+     */
+    async share() {
+        if (this.temporary) {
+            throw new Error('Temporary chats cannot be shared');
+        }
+        if (!this.cid) {
+            throw new Error('No conversation to share yet, send a message first');
+        }
+        return await this.geminiClient.shareChat(this.cid);
+    }
+
+    /**
+     * Remove a public link created with share()
+     *
+     * @param {string} share - Share id or link
+     */
+    async unshare(share) {
+        await this.geminiClient.unshareChat(share);
+    }
+
+    /**
+     * Choose a candidate of a turn (the current one by default) and continue from it
+     *
+     * @param {number} index - Candidate index
+     * @param {number} turnId - Turn to choose the candidate of
+     * @returns {Object} Output for the chosen candidate; turns restored from storage only
+     *   carry { metadata, candidates, text, rcid }
+     */
+    chooseCandidate(index, turnId = this.currentTurnId) {
+        if (turnId === null) {
             throw new Error('No previous output in this chat session');
         }
 
-        if (index >= this.lastOutput.candidates.length) {
+        const turn = this.requireTurn(turnId);
+        if (index >= turn.candidates.length) {
             throw new Error(`Index ${index} exceeds number of candidates`);
         }
 
-        const chosen = this.lastOutput.candidates[index];
-        this.rcid = chosen.rcid;
+        turn.chosen = index;
+        turn.metadata[2] = turn.candidates[index].rcid;
+        this.checkout(turn.id);
 
+        const output = this.outputs.get(turn.id);
+        if (!output) {
+            return {
+                metadata: [...turn.metadata],
+                candidates: turn.candidates,
+                text: turn.candidates[index].text,
+                rcid: turn.candidates[index].rcid
+            };
+        }
+
+        const chosen = output.candidates[index];
         return {
-            ...this.lastOutput,
+            ...output,
             text: chosen.text,
             thoughts: chosen.thoughts,
             images: chosen.images,
@@ -584,10 +1510,57 @@ export class ChatSession {
             codeExecutionResult: chosen.codeExecutionResult,
             factuality: chosen.factuality,
             sources: chosen.sources,
+            citations: chosen.citations,
             rcid: chosen.rcid
         };
     }
 
+    /**
+     * Summary of the turn tree: every turn with its children and chosen reply, and the
+     * path from the first turn to the current one
+     *
+     * @returns {Object} { currentTurnId, path, turns }
+     */
+    getBranches() {
+        return {
+            currentTurnId: this.currentTurnId,
+            path: this.getPath().map(turn => turn.id),
+            turns: this.turns.map(turn => ({
+                id: turn.id,
+                parentId: turn.parentId,
+                prompt: turn.prompt,
+                chosen: turn.chosen,
+                text: turn.candidates[turn.chosen] ? turn.candidates[turn.chosen].text : null,
+                candidates: turn.candidates.length,
+                children: this.getChildren(turn.id).map(child => child.id),
+                createdAt: new Date(turn.createdAt).toISOString()
+            }))
+        };
+    }
+
+    /**
+     * Replace the session state with a newer serialized copy (e.g. saved by another server instance)
+     * Outputs already held in memory are kept for turns that still exist
+     *
+     * @param {Object} data - Output of toJSON()
+     */
+    restore(data) {
+        this.metadata = [null, null, null];
+        this.setMetadata(data.metadata || []);
+        this.rootMetadata = data.rootMetadata ? [...data.rootMetadata] : [...this.metadata];
+        this.turns = structuredClone(data.turns || []);
+        this.currentTurnId = data.currentTurnId ?? null;
+        this.lastOutput = this.currentTurnId === null ? null : this.outputs.get(this.currentTurnId) || null;
+    }
+
+    requireTurn(turnId) {
+        const turn = this.getTurn(turnId);
+        if (!turn) {
+            throw new Error(`Turn ${turnId} not found in this chat session`);
+        }
+        return turn;
+    }
+
     setMetadata(metadata) {
         if (metadata.length > 3) {
             throw new Error('Metadata cannot exceed 3 elements');
@@ -624,6 +1597,86 @@ export class ChatSession {
     toString() {
         return `ChatSession(cid='${this.cid}', rid='${this.rid}', rcid='${this.rcid}')`;
     }
+
+    /**
+     * Serialize the session so it can be stored and resumed later
+     * The model is stored by name and resolved through the model registry on restore
+     */
+    toJSON() {
+        return {
+            model: this.model.name,
+            metadata: [...this.metadata],
+            rootMetadata: [...this.rootMetadata],
+            turns: this.turns,
+            currentTurnId: this.currentTurnId,
+            temporary: this.temporary,
+            gem: this.gem,
+            systemInstruction: this.systemInstruction
+        };
+    }
+
+    /**
+     * Restore a session serialized with toJSON()
+     *
+     * @param {Object} geminiClient - Client (or pool) to send messages with
+     * @param {Object|string} data - Output of toJSON(), as an object or JSON string
+     * @param {Object} options - Extra options passed to geminiClient.startChat
+     * @returns {ChatSession} Restored session
+     */
+    static fromJSON(geminiClient, data, options = {}) {
+        const { model, metadata, rootMetadata, turns, currentTurnId, temporary, gem, systemInstruction } = typeof data === 'string' ? JSON.parse(data) : data;
+        return geminiClient.startChat({
+            ...options,
+            model,
+            metadata,
+            rootMetadata,
+            turns,
+            currentTurnId,
+            temporary,
+            gem,
+            systemInstruction
+        });
+    }
+
+    /**
+     * Build a session from a conversation read with getChatHistory, continuing from its
+     * latest turn
+     *
+     * @param {Object} geminiClient - Client (or pool) to send messages with
+     * @param {Object} history - Output of getChatHistory
+     * @param {Object} options - Extra options passed to geminiClient.startChat
+     * @returns {ChatSession} Session with one turn per history turn
+     */
+    static fromHistory(geminiClient, history, options = {}) {
+        const rootMetadata = [history.cid, null, null];
+        const turns = [];
+        for (const [index, { rid, rcid, prompt, createdAt, output }] of history.turns.entries()) {
+            turns.push({
+                id: index + 1,
+                parentId: index === 0 ? null : index,
+                prompt,
+                parentMetadata: index === 0 ? [...rootMetadata] : [...turns[index - 1].metadata],
+                metadata: [history.cid, rid, rcid],
+                candidates: output.candidates.map(candidate => ({ rcid: candidate.rcid, text: candidate.text })),
+                chosen: Math.max(0, output.candidates.findIndex(candidate => candidate.rcid === rcid)),
+                createdAt: createdAt ? Date.parse(createdAt) : Date.now()
+            });
+        }
+
+        const last = turns[turns.length - 1];
+        const chat = geminiClient.startChat({
+            ...options,
+            metadata: last ? last.metadata : rootMetadata,
+            rootMetadata,
+            turns,
+            currentTurnId: last ? last.id : null
+        });
+
+        history.turns.forEach(({ output }, index) => chat.outputs.set(index + 1, output));
+        chat.lastOutput = last ? chat.outputs.get(last.id) : null;
+
+        return chat;
+    }
 }
 
 export default GeminiClient;
@@ -0,0 +1,187 @@
+/**
+ * Per-user client cache
+ * Reuses initialized clients (and their SNlM0e access token) across requests
+ * instead of running init() for every request that carries cookies
+ */
+
+import crypto from 'crypto';
+import { GeminiClient } from './client.js';
+
+/**
+ * Cache of initialized GeminiClient instances keyed by a hash of their cookies
+ */
+export class ClientCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.idleTimeout - Close clients unused for this long (milliseconds)
+     * @param {number} options.maxClients - Clients kept before the least recently used idle one is closed
+     * @param {number} options.sweepInterval - How often idle clients are closed (milliseconds)
+     * @param {Object} options.initOptions - Options passed to GeminiClient.init
+     * @param {Object} options.credentialStore - Credential store passed to every client
+     * @param {string|Object} options.endpoints - Endpoint override passed to every client (see resolveEndpoints)
+     * @param {ResponseParser|Object} options.parser - Response parser (or parser options) passed to every client
+     * @param {boolean} options.temporary - Send every request of every client as a temporary chat
+     */
+    constructor(options = {}) {
+        const {
+            idleTimeout = 10 * 60 * 1000, // 10 minutes
+            maxClients = 100,
+            sweepInterval = 60 * 1000, // 1 minute
+            initOptions = {},
+            credentialStore,
+            endpoints,
+            parser,
+            temporary = false
+        } = options;
+
+        this.idleTimeout = idleTimeout;
+        this.maxClients = maxClients;
+        this.initOptions = initOptions;
+        this.credentialStore = credentialStore;
+        this.endpoints = endpoints;
+        this.parser = parser;
+        this.temporary = temporary;
+        this.entries = new Map(); // { key: { ready, client, refs, lastUsed } }
+
+        this.sweepIntervalId = setInterval(() => this.sweep(), sweepInterval);
+        this.sweepIntervalId.unref();
+    }
+
+    /**
+     * Cache key for a set of cookies (the raw values are never used as keys)
+     *
+     * @param {Object} cookies - { secure1PSID, secure1PSIDTS }
+     * @returns {string} SHA-256 hash of the cookie values
+     */
+    static getKey(cookies) {
+        return crypto.createHash('sha256')
+            .update(`${cookies.secure1PSID}\n${cookies.secure1PSIDTS || ''}`)
+            .digest('hex');
+    }
+
+    /**
+     * Get an initialized client for a set of cookies, creating it if needed
+     * Concurrent calls for the same key share a single init()
+     *
+     * @param {Object} cookies - { secure1PSID, secure1PSIDTS }
+     * @param {Object} options - { key, proxy, initOptions } to override the cache key or client setup
+     * @returns {Promise<{client: GeminiClient, release: Function}>} Call release() when the request is done
+     */
+    async acquire(cookies, options = {}) {
+        const { key = ClientCache.getKey(cookies), proxy = null, initOptions = {} } = options;
+
+        let entry = this.entries.get(key);
+
+        // Clients are closed by close() or a failed re-initialization; start over
+        if (entry && entry.client && !entry.client.running) {
+            this.entries.delete(key);
+            entry = null;
+        }
+
+        if (!entry) {
+            entry = { ready: null, client: null, refs: 0, lastUsed: Date.now() };
+            entry.ready = (async () => {
+                const client = new GeminiClient(cookies.secure1PSID, cookies.secure1PSIDTS, proxy, {
+                    credentialStore: this.credentialStore,
+                    endpoints: this.endpoints,
+                    parser: this.parser,
+                    temporary: this.temporary
+                });
+                await client.init({ ...this.initOptions, ...initOptions });
+                entry.client = client;
+                return client;
+            })();
+            entry.ready.catch(() => {
+                if (this.entries.get(key) === entry) {
+                    this.entries.delete(key);
+                }
+            });
+
+            this.entries.set(key, entry);
+            this.evictOverflow();
+        }
+
+        entry.refs++;
+        entry.lastUsed = Date.now();
+
+        let client;
+        try {
+            client = await entry.ready;
+        } catch (error) {
+            entry.refs--;
+            throw error;
+        }
+
+        let released = false;
+        const release = () => {
+            if (!released) {
+                released = true;
+                entry.refs--;
+                entry.lastUsed = Date.now();
+            }
+        };
+
+        return { client, release };
+    }
+
+    /**
+     * Close and remove a cached client, even if it is in use
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} Whether a client was removed
+     */
+    async evict(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+
+        this.entries.delete(key);
+        await entry.ready.then(client => client.close(), () => {});
+        return true;
+    }
+
+    /**
+     * Close clients that have not been used within the idle timeout
+     */
+    async sweep() {
+        const now = Date.now();
+        for (const [key, entry] of Array.from(this.entries.entries())) {
+            if (entry.client && entry.refs === 0 && now - entry.lastUsed > this.idleTimeout) {
+                await this.evict(key);
+            }
+        }
+    }
+
+    /**
+     * Close least recently used idle clients while the cache is over maxClients
+     * Clients in use are never closed, so the cache may grow past the limit under load
+     */
+    evictOverflow() {
+        const idle = Array.from(this.entries.entries())
+            .filter(([, entry]) => entry.client && entry.refs === 0)
+            .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+
+        while (this.entries.size > this.maxClients && idle.length > 0) {
+            const [key] = idle.shift();
+            this.evict(key);
+        }
+    }
+
+    /**
+     * Number of cached clients
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Close every cached client and stop the sweeper
+     */
+    async close() {
+        clearInterval(this.sweepIntervalId);
+        await Promise.all(Array.from(this.entries.keys()).map(key => this.evict(key)));
+    }
+}
+
+export default ClientCache;
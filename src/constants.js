@@ -8,7 +8,69 @@ export const Endpoints = {
     GENERATE: 'https://gemini.google.com/_/BardChatUi/data/assistant.lamda.BardFrontendService/StreamGenerate',
     ROTATE_COOKIES: 'https://accounts.google.com/RotateCookies',
     UPLOAD: 'https://content-push.googleapis.com/upload',
-    BATCH_EXEC: 'https://gemini.google.com/_/BardChatUi/data/batchexecute'
+    BATCH_EXEC: 'https://gemini.google.com/_/BardChatUi/data/batchexecute',
+    SHARE: 'https://gemini.google.com/share'
+};
+
+/**
+ * Public links of shared conversations (redirect to Endpoints.SHARE)
+ */
+export const SHARE_LINK_BASE = 'https://g.co/gemini/share';
+
+/**
+ * Endpoints with an override applied, e.g. to point the client at a mock backend
+ * A base URL replaces the origin of every endpoint and keeps its path
+ * (https://gemini.google.com/app -> http://localhost:8787/app)
+ *
+ * @param {string|Object|null} override - Base URL, or { NAME: url } for single endpoints
+ * @returns {Object} Endpoints
+ */
+export function resolveEndpoints(override = null) {
+    if (!override) {
+        return Endpoints;
+    }
+
+    if (typeof override === 'string') {
+        const base = override.replace(/\/+$/, '');
+        return Object.fromEntries(Object.entries(Endpoints).map(([name, url]) => {
+            const { pathname } = new URL(url);
+            return [name, pathname === '/' ? base : `${base}${pathname}`];
+        }));
+    }
+
+    return { ...Endpoints, ...override };
+}
+
+/**
+ * batchexecute RPC ids, sent as `rpcids` with one f.req entry per call
+ */
+export const RpcIds = {
+    LIST_CHATS: 'MaZiqc',
+    READ_CHAT: 'hNvQHb',
+    DELETE_CHAT: 'GzXR5e',
+    EDIT_CHAT: 'MUAZcd',
+    LIST_GEMS: 'CNgdBe',
+    CREATE_GEM: 'oMH3Zd',
+    UPDATE_GEM: 'kHv0Vd',
+    DELETE_GEM: 'UXcSJb',
+    SHARE_CHAT: 'fuVx7',
+    UNSHARE_CHAT: 'SgORbf'
+};
+
+/**
+ * Gem lists requested with LIST_GEMS: the account's own gems, or Google's predefined ones
+ */
+export const GemListTypes = {
+    CUSTOM: 2,
+    PREDEFINED: 3
+};
+
+/**
+ * gRPC status codes batchexecute reports for failed calls
+ */
+export const RpcStatus = {
+    NOT_FOUND: 5,
+    UNIMPLEMENTED: 12
 };
 
 export const Headers = {
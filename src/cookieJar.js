@@ -0,0 +1,541 @@
+/**
+ * Cookie jar
+ * Keeps every cookie Google sets (not just __Secure-1PSID/__Secure-1PSIDTS) along with
+ * its domain, path and expiry, and sends each request only the cookies that apply to it
+ *
+ * Cookies can be imported from Netscape cookies.txt files, the JSON export of browser
+ * cookie extensions (EditThisCookie, Cookie-Editor, ...) and HAR files, and saved back
+ * out in the first two formats
+ *
+ * Cookie: { name, value, domain, path, expires, secure, httpOnly, hostOnly, sameSite }
+ * (expires is a timestamp in milliseconds, null for session cookies)
+ */
+
+import fs from 'fs';
+
+// Domain for cookies given without one (e.g. { '__Secure-1PSID': '...' })
+const DEFAULT_DOMAIN = 'google.com';
+
+/**
+ * Whether a host is the cookie domain or one of its subdomains
+ */
+function domainMatches(host, domain) {
+    return host === domain || (host.endsWith(`.${domain}`) && !/^[\d.]+$/.test(host));
+}
+
+// Google's own domains: google.com, google.co.uk, google.com.au, google.de, ...
+const GOOGLE_DOMAIN = /(?:^|\.)(google\.(?:com|co\.[a-z]{2}|com\.[a-z]{2}|[a-z]{2}))$/;
+
+/**
+ * Scope of a cookie that only came with a name and value (HAR request cookies): the Google
+ * domain the host belongs to, or the host alone for any other site
+ */
+function requestCookieScope(host) {
+    const match = host.match(GOOGLE_DOMAIN);
+    return match ? { domain: match[1], hostOnly: false } : { domain: host, hostOnly: true };
+}
+
+/**
+ * Whether a request path is inside the cookie path (RFC 6265 5.1.4)
+ */
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    return requestPath.startsWith(cookiePath)
+        && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+}
+
+/**
+ * Path used when Set-Cookie does not give one: the directory of the request path
+ */
+function defaultPath(requestPath) {
+    if (!requestPath.startsWith('/') || requestPath.lastIndexOf('/') === 0) {
+        return '/';
+    }
+    return requestPath.slice(0, requestPath.lastIndexOf('/'));
+}
+
+/**
+ * Parse a cookie expiry given in seconds since the epoch (0 or negative for session cookies)
+ */
+function fromEpochSeconds(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+/**
+ * Cookies for one or more sites, matched per request the way a browser does
+ */
+export class CookieJar {
+    /**
+     * @param {Array<Object>} cookies - Initial cookies (see the Cookie shape above)
+     */
+    constructor(cookies = []) {
+        this.cookies = new Map(); // { "domain;path;name": cookie }
+        cookies.forEach(cookie => this.add(cookie));
+    }
+
+    /**
+     * Add or replace a cookie; a cookie that has already expired removes the stored one
+     *
+     * @param {Object} cookie - Cookie (name and value are required)
+     */
+    add(cookie) {
+        if (!cookie || !cookie.name) {
+            return;
+        }
+
+        const entry = {
+            name: String(cookie.name),
+            value: String(cookie.value ?? ''),
+            domain: String(cookie.domain || DEFAULT_DOMAIN).toLowerCase().replace(/^\./, ''),
+            path: cookie.path && String(cookie.path).startsWith('/') ? String(cookie.path) : '/',
+            expires: cookie.expires ?? null,
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly),
+            hostOnly: Boolean(cookie.hostOnly),
+            sameSite: cookie.sameSite || null
+        };
+
+        const key = `${entry.domain};${entry.path};${entry.name}`;
+        if (entry.expires !== null && entry.expires <= Date.now()) {
+            this.cookies.delete(key);
+        } else {
+            this.cookies.set(key, entry);
+        }
+    }
+
+    /**
+     * Set a cookie value by name
+     * Existing cookies with that name keep their attributes; otherwise the cookie is
+     * added for google.com and its subdomains
+     *
+     * @param {string} name - Cookie name
+     * @param {string} value - Cookie value
+     * @param {Object} options - Attributes for a new cookie ({ domain, path, expires, secure, httpOnly })
+     */
+    set(name, value, options = {}) {
+        const existing = this.all().filter(cookie => cookie.name === name);
+        if (existing.length > 0) {
+            existing.forEach(cookie => this.add({ ...cookie, value }));
+            return;
+        }
+
+        this.add({ name, value, path: '/', secure: name.startsWith('__Secure-') || name.startsWith('__Host-'), ...options });
+    }
+
+    /**
+     * Value of a cookie by name (from any domain)
+     *
+     * @param {string} name - Cookie name
+     * @returns {string|null}
+     */
+    get(name) {
+        const cookie = this.all().find(entry => entry.name === name);
+        return cookie ? cookie.value : null;
+    }
+
+    /**
+     * Remove every cookie with a name
+     */
+    delete(name) {
+        for (const [key, cookie] of Array.from(this.cookies.entries())) {
+            if (cookie.name === name) {
+                this.cookies.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Store a Set-Cookie header received for a URL, honouring Domain, Path, Expires,
+     * Max-Age, Secure, HttpOnly and SameSite
+     * Cookies for a domain the URL does not belong to are ignored
+     *
+     * @param {string} header - Set-Cookie header value
+     * @param {string} url - URL the response came from
+     * @returns {boolean} Whether the cookie was accepted
+     */
+    setCookie(header, url) {
+        const { hostname, pathname } = new URL(url);
+        const host = hostname.toLowerCase();
+        const [pair, ...attributes] = String(header).split(';');
+
+        const separator = pair.indexOf('=');
+        if (separator <= 0) {
+            return false;
+        }
+
+        const cookie = {
+            name: pair.slice(0, separator).trim(),
+            value: pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1'),
+            domain: host,
+            path: defaultPath(pathname),
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            hostOnly: true,
+            sameSite: null
+        };
+        let maxAge = null;
+
+        for (const attribute of attributes) {
+            const index = attribute.indexOf('=');
+            const name = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+            const value = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+            switch (name) {
+                case 'domain': {
+                    const domain = value.toLowerCase().replace(/^\./, '');
+                    if (domain) {
+                        if (!domainMatches(host, domain)) {
+                            return false;
+                        }
+                        cookie.domain = domain;
+                        cookie.hostOnly = false;
+                    }
+                    break;
+                }
+                case 'path':
+                    if (value.startsWith('/')) {
+                        cookie.path = value;
+                    }
+                    break;
+                case 'expires': {
+                    const time = Date.parse(value);
+                    if (!Number.isNaN(time)) {
+                        cookie.expires = time;
+                    }
+                    break;
+                }
+                case 'max-age':
+                    if (/^-?\d+$/.test(value)) {
+                        maxAge = Number(value);
+                    }
+                    break;
+                case 'secure':
+                    cookie.secure = true;
+                    break;
+                case 'httponly':
+                    cookie.httpOnly = true;
+                    break;
+                case 'samesite':
+                    cookie.sameSite = value || null;
+                    break;
+            }
+        }
+
+        // Max-Age takes precedence over Expires; zero or less deletes the cookie
+        if (maxAge !== null) {
+            cookie.expires = maxAge > 0 ? Date.now() + maxAge * 1000 : 0;
+        }
+
+        this.add(cookie);
+        return true;
+    }
+
+    /**
+     * Store every Set-Cookie header of an axios response
+     *
+     * @param {Object} response - Axios response
+     * @param {string} url - URL the response came from (defaults to the request URL)
+     */
+    storeResponseCookies(response, url = response?.config?.url) {
+        const header = response?.headers?.['set-cookie'];
+        if (!header || !url) {
+            return;
+        }
+
+        for (const value of Array.isArray(header) ? header : [header]) {
+            this.setCookie(value, url);
+        }
+    }
+
+    /**
+     * Unexpired cookies that apply to a URL, most specific path first
+     *
+     * @param {string} url - Request URL
+     * @returns {Array<Object>}
+     */
+    getCookies(url) {
+        const { protocol, hostname, pathname } = new URL(url);
+        const host = hostname.toLowerCase();
+
+        return this.all()
+            .filter(cookie => cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain))
+            .filter(cookie => pathMatches(pathname || '/', cookie.path))
+            .filter(cookie => !cookie.secure || protocol === 'https:')
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    /**
+     * Cookie request header for a URL
+     *
+     * @param {string} url - Request URL
+     * @returns {string} "name=value; ..." (empty if no cookie applies)
+     */
+    getCookieHeader(url) {
+        return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    /**
+     * Every unexpired cookie (expired ones are dropped from the jar)
+     *
+     * @returns {Array<Object>} Copies of the stored cookies
+     */
+    all() {
+        const now = Date.now();
+        const cookies = [];
+
+        for (const [key, cookie] of Array.from(this.cookies.entries())) {
+            if (cookie.expires !== null && cookie.expires <= now) {
+                this.cookies.delete(key);
+            } else {
+                cookies.push({ ...cookie });
+            }
+        }
+
+        return cookies;
+    }
+
+    /**
+     * Number of unexpired cookies
+     */
+    get size() {
+        return this.all().length;
+    }
+
+    /**
+     * Cookie values by name, e.g. { '__Secure-1PSID': '...', '__Secure-1PSIDTS': '...' }
+     *
+     * @returns {Object}
+     */
+    toObject() {
+        return Object.fromEntries(this.all().map(cookie => [cookie.name, cookie.value]));
+    }
+
+    /**
+     * Cookies in the JSON format of browser cookie extensions, so a saved jar can be
+     * imported again (and JSON.stringify(jar) produces the same)
+     *
+     * @returns {Array<Object>}
+     */
+    toJSON() {
+        return this.all().map(cookie => ({
+            domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+            hostOnly: cookie.hostOnly,
+            name: cookie.name,
+            value: cookie.value,
+            path: cookie.path,
+            secure: cookie.secure,
+            httpOnly: cookie.httpOnly,
+            sameSite: cookie.sameSite,
+            session: cookie.expires === null,
+            ...(cookie.expires !== null ? { expirationDate: cookie.expires / 1000 } : {})
+        }));
+    }
+
+    /**
+     * Cookies in the Netscape cookies.txt format (as read by curl and wget)
+     *
+     * @returns {string}
+     */
+    toNetscape() {
+        const lines = this.all().map(cookie => [
+            `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.hostOnly ? cookie.domain : `.${cookie.domain}`}`,
+            cookie.hostOnly ? 'FALSE' : 'TRUE',
+            cookie.path,
+            cookie.secure ? 'TRUE' : 'FALSE',
+            cookie.expires === null ? 0 : Math.floor(cookie.expires / 1000),
+            cookie.name,
+            cookie.value
+        ].join('\t'));
+
+        return ['# Netscape HTTP Cookie File', '', ...lines, ''].join('\n');
+    }
+
+    /**
+     * Write the jar to a file, readable only by the current user
+     *
+     * @param {string} file - Destination path
+     * @param {string} format - 'json' or 'netscape' (defaults to netscape for .txt files)
+     */
+    async save(file, format = /\.txt$/i.test(file) ? 'netscape' : 'json') {
+        if (!['json', 'netscape'].includes(format)) {
+            throw new Error(`Unknown cookie file format "${format}". Use "json" or "netscape"`);
+        }
+
+        const content = format === 'netscape' ? this.toNetscape() : JSON.stringify(this, null, 2);
+        await fs.promises.writeFile(file, content, { mode: 0o600 });
+    }
+
+    /**
+     * Use a jar as-is or build one from cookie values
+     *
+     * @param {CookieJar|Array<Object>|Object} cookies - Jar, browser extension export or { name: value }
+     * @returns {CookieJar}
+     */
+    static from(cookies) {
+        if (cookies instanceof CookieJar) {
+            return cookies;
+        }
+        if (Array.isArray(cookies)) {
+            return CookieJar.fromBrowserJSON(cookies);
+        }
+
+        const jar = new CookieJar();
+        for (const [name, value] of Object.entries(cookies || {})) {
+            if (value !== null && value !== undefined) {
+                jar.set(name, value);
+            }
+        }
+        return jar;
+    }
+
+    /**
+     * Import a Netscape cookies.txt file
+     * Lines prefixed with #HttpOnly_ (as written by curl and most exporters) are HttpOnly cookies
+     *
+     * @param {string} text - File contents
+     * @returns {CookieJar}
+     */
+    static fromNetscape(text) {
+        const jar = new CookieJar();
+
+        for (const rawLine of String(text).split(/\r?\n/)) {
+            let line = rawLine.trim();
+            let httpOnly = false;
+
+            if (line.startsWith('#HttpOnly_')) {
+                line = line.slice('#HttpOnly_'.length);
+                httpOnly = true;
+            } else if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const fields = line.split('\t');
+            if (fields.length < 7) {
+                continue;
+            }
+
+            const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+            jar.add({
+                name,
+                value: value.join('\t'),
+                domain,
+                path,
+                expires: fromEpochSeconds(expires),
+                secure: secure.toUpperCase() === 'TRUE',
+                httpOnly,
+                hostOnly: includeSubdomains.toUpperCase() !== 'TRUE' && !domain.startsWith('.')
+            });
+        }
+
+        return jar;
+    }
+
+    /**
+     * Import the JSON export of a browser cookie extension (EditThisCookie, Cookie-Editor, ...)
+     * Puppeteer and Playwright cookie arrays use the same fields and are accepted too
+     *
+     * @param {Array<Object>|Object} data - Array of cookies or { cookies: [...] }
+     * @returns {CookieJar}
+     */
+    static fromBrowserJSON(data) {
+        const cookies = Array.isArray(data) ? data : (data?.cookies || []);
+        const jar = new CookieJar();
+
+        for (const cookie of cookies) {
+            const domain = String(cookie.domain || DEFAULT_DOMAIN);
+            jar.add({
+                name: cookie.name,
+                value: cookie.value,
+                domain,
+                path: cookie.path,
+                expires: cookie.session ? null : fromEpochSeconds(cookie.expirationDate ?? cookie.expires),
+                secure: cookie.secure,
+                httpOnly: cookie.httpOnly,
+                hostOnly: cookie.hostOnly ?? !domain.startsWith('.'),
+                sameSite: cookie.sameSite && cookie.sameSite !== 'unspecified' ? cookie.sameSite : null
+            });
+        }
+
+        return jar;
+    }
+
+    /**
+     * Import the cookies recorded in a HAR file (browser devtools "Save all as HAR")
+     * Cookies sent with requests only carry a name and value; on Google hosts they are assumed to
+     * apply to the whole Google domain (e.g. google.co.uk), elsewhere only to the request host.
+     * Cookies set by responses keep their attributes.
+     *
+     * @param {Object|string} har - Parsed HAR or its JSON text
+     * @returns {CookieJar}
+     */
+    static fromHAR(har) {
+        const data = typeof har === 'string' ? JSON.parse(har) : har;
+        const entries = data?.log?.entries || [];
+        const jar = new CookieJar();
+
+        for (const entry of entries) {
+            const url = entry.request?.url;
+            if (!url || !/^https?:/i.test(url)) {
+                continue;
+            }
+
+            const host = new URL(url).hostname.toLowerCase();
+            const scope = requestCookieScope(host);
+            for (const cookie of entry.request.cookies || []) {
+                jar.add({ name: cookie.name, value: cookie.value, ...scope, path: '/', secure: url.startsWith('https:') });
+            }
+
+            const setCookieHeaders = (entry.response?.headers || [])
+                .filter(header => header.name.toLowerCase() === 'set-cookie')
+                .flatMap(header => header.value.split('\n'));
+
+            if (setCookieHeaders.length > 0) {
+                setCookieHeaders.forEach(header => jar.setCookie(header, url));
+                continue;
+            }
+
+            for (const cookie of entry.response?.cookies || []) {
+                jar.add({
+                    ...cookie,
+                    domain: cookie.domain || host,
+                    hostOnly: !cookie.domain,
+                    expires: cookie.expires ? Date.parse(cookie.expires) : null
+                });
+            }
+        }
+
+        return jar;
+    }
+
+    /**
+     * Import cookies from any supported format, detected from the contents
+     *
+     * @param {string} text - Netscape cookies.txt, browser extension JSON or HAR
+     * @returns {CookieJar}
+     */
+    static parse(text) {
+        const trimmed = String(text).trim();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+            return CookieJar.fromNetscape(trimmed);
+        }
+
+        const data = JSON.parse(trimmed);
+        return data?.log?.entries ? CookieJar.fromHAR(data) : CookieJar.fromBrowserJSON(data);
+    }
+
+    /**
+     * Read a cookie file in any supported format (see parse)
+     *
+     * @param {string} file - Path to the file
+     * @returns {Promise<CookieJar>}
+     */
+    static async load(file) {
+        return CookieJar.parse(await fs.promises.readFile(file, 'utf8'));
+    }
+}
+
+export default CookieJar;
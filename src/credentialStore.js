@@ -0,0 +1,194 @@
+/**
+ * Credential stores
+ * Cache per-account state between clients, processes and instances:
+ * the rotated __Secure-1PSIDTS and the SNlM0e access token with their timestamps
+ *
+ * Records are keyed by a hash of __Secure-1PSID (see getCredentialKey), so the
+ * secret cookie never appears in a key or file name
+ *
+ * Every store implements the same async interface:
+ *   get(key)          -> record | null
+ *   set(key, record)  -> void
+ *   delete(key)       -> void
+ *
+ * Record: { secure1PSIDTS, rotatedAt, accessToken, accessTokenFetchedAt }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Store key for an account
+ *
+ * @param {string} secure1PSID - __Secure-1PSID cookie value
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function getCredentialKey(secure1PSID) {
+    return crypto.createHash('sha256').update(String(secure1PSID)).digest('hex');
+}
+
+/**
+ * In-memory store (shared by the clients of one process)
+ */
+export class MemoryCredentialStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+        return record ? { ...record } : null;
+    }
+
+    async set(key, record) {
+        this.records.set(key, { ...record });
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+}
+
+/**
+ * One JSON file per account in a directory, readable only by the current user
+ * If the directory is not writable (e.g. a read-only filesystem), records are
+ * kept in memory instead
+ */
+export class FileCredentialStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.fallback = null;
+    }
+
+    filePath(key) {
+        return path.join(this.dir, `.credentials_${key}.json`);
+    }
+
+    async get(key) {
+        if (this.fallback) {
+            return await this.fallback.get(key);
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    async set(key, record) {
+        if (this.fallback) {
+            return await this.fallback.set(key, record);
+        }
+
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+            const tempPath = `${this.filePath(key)}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(record), { mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath(key));
+        } catch (error) {
+            if (!['EROFS', 'EACCES', 'EPERM'].includes(error.code)) {
+                throw error;
+            }
+            console.warn(`[Credentials] ${this.dir} is not writable (${error.code}), keeping credentials in memory`);
+            this.fallback = new MemoryCredentialStore();
+            await this.fallback.set(key, record);
+        }
+    }
+
+    async delete(key) {
+        if (this.fallback) {
+            return await this.fallback.delete(key);
+        }
+
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+}
+
+/**
+ * Adapter for any key/value backend (Redis, a database table, ...)
+ * The backend needs async get(key) -> string | null, set(key, string) and del(key) or delete(key)
+ *
+ * @example
+ * const store = new KeyValueCredentialStore(redisClient, { prefix: 'gemini:credentials:' });
+ */
+export class KeyValueCredentialStore {
+    /**
+     * @param {Object} backend - Key/value client
+     * @param {Object} options - { prefix } prepended to every key
+     */
+    constructor(backend, { prefix = 'gemini:credentials:' } = {}) {
+        if (!backend || typeof backend.get !== 'function' || typeof backend.set !== 'function') {
+            throw new Error('Key/value backend must provide get(key) and set(key, value)');
+        }
+        this.backend = backend;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const value = await this.backend.get(this.prefix + key);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    async set(key, record) {
+        await this.backend.set(this.prefix + key, JSON.stringify(record));
+    }
+
+    async delete(key) {
+        const remove = this.backend.del || this.backend.delete;
+        if (remove) {
+            await remove.call(this.backend, this.prefix + key);
+        }
+    }
+}
+
+/**
+ * Default directory for the file store
+ * /tmp on serverless platforms (Vercel, AWS Lambda), otherwise src/temp
+ */
+export function getDefaultCredentialDir() {
+    const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.LAMBDA_TASK_ROOT;
+    return isServerless ? '/tmp' : path.join(__dirname, 'temp');
+}
+
+let defaultStore = null;
+
+/**
+ * Store used by clients that are not given one (a file store in the default directory)
+ */
+export function getDefaultCredentialStore() {
+    if (!defaultStore) {
+        defaultStore = new FileCredentialStore(getDefaultCredentialDir());
+    }
+    return defaultStore;
+}
+
+/**
+ * Create a credential store from a type name
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.type - 'memory' or 'file'
+ * @param {string} options.path - Directory for the file store
+ * @returns {MemoryCredentialStore|FileCredentialStore}
+ */
+export function createCredentialStore({ type = 'file', path: dir } = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryCredentialStore();
+        case 'file':
+            return new FileCredentialStore(dir || getDefaultCredentialDir());
+        default:
+            throw new Error(`Unknown credential store "${type}". Use "memory" or "file"`);
+    }
+}
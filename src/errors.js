@@ -0,0 +1,137 @@
+/**
+ * Error classes raised by the Gemini API client
+ */
+
+import { ErrorCodes } from './constants.js';
+
+/**
+ * Base class for all client errors
+ * `code` is a stable machine-readable identifier, `errorCode` the numeric
+ * code Gemini reported (if any)
+ */
+export class GeminiError extends Error {
+    constructor(message, { code = 'GEMINI_ERROR', errorCode = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Cookies are missing, invalid or expired
+ */
+export class AuthError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'AUTH_FAILED', ...options });
+    }
+}
+
+/**
+ * The account has reached its usage limit for the requested model
+ */
+export class UsageLimitError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'USAGE_LIMIT_EXCEEDED', ...options });
+    }
+}
+
+/**
+ * Google rejected the request with HTTP 429 (short-lived rate limiting)
+ */
+export class RateLimitError extends UsageLimitError {
+    constructor(message, options = {}) {
+        super(message, { code: 'RATE_LIMITED', ...options });
+    }
+}
+
+/**
+ * The requested model is unavailable or its header was rejected
+ */
+export class ModelInvalidError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'MODEL_INVALID', ...options });
+    }
+}
+
+/**
+ * Google has temporarily blocked requests from this IP address
+ */
+export class IPBlockedError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'IP_TEMPORARILY_BLOCKED', ...options });
+    }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class TimeoutError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'TIMEOUT', ...options });
+    }
+}
+
+/**
+ * A transient network failure or a 5xx response from Google
+ */
+export class NetworkError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...options });
+    }
+}
+
+/**
+ * The response could not be parsed
+ */
+export class ParseError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'PARSE_FAILED', ...options });
+    }
+}
+
+/**
+ * The conversation (or other resource) does not exist in the account
+ */
+export class NotFoundError extends GeminiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options });
+    }
+}
+
+/**
+ * Read the error code Gemini embeds in a response frame
+ * Error frames look like [["wrb.fr", null, null, null, null, [3, null, [[..., [1037]]]]]]
+ *
+ * @param {Array} responseJson - Decoded StreamGenerate frame
+ * @returns {number|null} Gemini error code or null
+ */
+export function getFrameErrorCode(responseJson) {
+    try {
+        const errorCode = responseJson[0][5][2][0][1][0];
+        return typeof errorCode === 'number' ? errorCode : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create the error matching a Gemini error code
+ *
+ * @param {number} errorCode - Code from ErrorCodes
+ * @returns {GeminiError} Typed error
+ */
+export function createErrorFromCode(errorCode) {
+    switch (errorCode) {
+        case ErrorCodes.USAGE_LIMIT_EXCEEDED:
+            return new UsageLimitError('Usage limit exceeded for this model. Try again later or switch models.', { errorCode });
+        case ErrorCodes.MODEL_INCONSISTENT:
+            return new ModelInvalidError('Model is inconsistent with the chat history. Start a new chat to use a different model.', { errorCode });
+        case ErrorCodes.MODEL_HEADER_INVALID:
+            return new ModelInvalidError('Model is unavailable or its header is no longer valid.', { errorCode });
+        case ErrorCodes.IP_TEMPORARILY_BLOCKED:
+            return new IPBlockedError('Requests from this IP address are temporarily blocked by Google.', { errorCode });
+        default:
+            return new GeminiError(`Gemini returned error code ${errorCode}`, { errorCode });
+    }
+}
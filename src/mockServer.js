@@ -0,0 +1,706 @@
+/**
+ * Mock Gemini backend
+ * Emulates the Google endpoints the client talks to, so the client and the REST server
+ * can be exercised without a Google account:
+ *   GET  /                 google.com (sets NID)
+ *   GET  /app              Gemini page with an SNlM0e access token
+ *   POST StreamGenerate    framed StreamGenerate bodies (candidates, thoughts, images,
+ *                          sources, code blocks) or error frames
+ *   POST /RotateCookies    issues a new __Secure-1PSIDTS via Set-Cookie
+ *   POST /upload           accepts file uploads
+ *   POST batchexecute      answers the RPCs in rpcHandlers (conversation list, history,
+ *                          delete, rename, pin and share; gem list, create, update and delete)
+ *   GET  /share/:shareId   share page with the shared conversation in an AF_initDataCallback
+ *
+ * Point a client at it with new GeminiClient(psid, psidts, null, { endpoints: mock.url }),
+ * or the REST server with GEMINI_BASE_URL. Run standalone with `npm run mock`.
+ *
+ * Scenarios change how generate requests are answered (see SCENARIOS). Set the default
+ * with use(), queue one-off scenarios for the next requests with enqueue(), or do both
+ * over HTTP through the /__mock routes when the mock runs in another process.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Endpoints, ErrorCodes, GemListTypes, Models, RpcIds, RpcStatus } from './constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Built-in scenarios
+ *   status          - Answer generate requests with this HTTP status
+ *   errorCode       - Answer with an error frame carrying this code (see ErrorCodes)
+ *   expireCookies   - Expire the caller's __Secure-1PSIDTS and answer 401, so the
+ *                     client has to rotate cookies and fetch a new access token
+ *   loggedOut       - Serve the Gemini page without an access token (while it is the default scenario)
+ *   frameDelay      - Milliseconds between StreamGenerate frames
+ *   frames          - Number of frames the first candidate's text is streamed in
+ *   response        - Overrides for the generated response (object, or function of the request context)
+ */
+export const SCENARIOS = {
+    'default': {},
+    'slow-stream': { frameDelay: 1000, frames: 8 },
+    'expired-cookies': { expireCookies: true },
+    'logged-out': { loggedOut: true },
+    'rate-limited': { status: 429 },
+    'server-error': { status: 500 },
+    'usage-limit': { errorCode: ErrorCodes.USAGE_LIMIT_EXCEEDED },
+    'model-inconsistent': { errorCode: ErrorCodes.MODEL_INCONSISTENT },
+    'model-header-invalid': { errorCode: ErrorCodes.MODEL_HEADER_INVALID },
+    'ip-blocked': { errorCode: ErrorCodes.IP_TEMPORARILY_BLOCKED }
+};
+
+/**
+ * Google's predefined gems, listed next to the custom ones (their instructions are not exposed)
+ */
+export const PREDEFINED_GEMS = [
+    { id: 'brainstormer', name: 'Brainstormer', description: 'Helps you come up with ideas' },
+    { id: 'coding-partner', name: 'Coding partner', description: 'Helps you write and debug code' }
+];
+
+/**
+ * Parse a Cookie request header
+ */
+function parseCookieHeader(header = '') {
+    const cookies = {};
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Name of the model selected by the request's model header
+ */
+function getModelName(req) {
+    const header = req.get('x-goog-ext-525001261-jspb');
+    const model = Object.values(Models).find(entry => header && Object.values(entry.header).includes(header));
+    return model ? model.name : Models.UNSPECIFIED.name;
+}
+
+/**
+ * Default response: text with a code block and an image placeholder, thoughts, web and
+ * generated images, sources with a citation of the first line and a second candidate
+ */
+function defaultResponse({ prompt, turn, model, gem }) {
+    const firstLine = `Mock reply ${turn} from ${model}${gem ? ` as ${gem.name}` : ''} to: ${prompt}`;
+    return {
+        text: `${firstLine}\n\n`
+            + '```javascript\nconsole.log(\'Hello from the mock backend\');\n```\n\n'
+            + 'http://googleusercontent.com/image_generation_content/0',
+        thoughts: `The user asked: ${prompt}`,
+        webImages: [
+            { url: 'https://example.com/cat.jpg', title: 'A cat', alt: 'Cat photo' }
+        ],
+        generatedImages: [
+            { url: 'https://lh3.googleusercontent.com/mock-generated-image', alt: 'Generated picture' }
+        ],
+        sources: [
+            { title: 'Example source', url: 'https://example.com/article', snippet: 'An example snippet' }
+        ],
+        citations: [
+            { start: 0, end: firstLine.length, sourceIndexes: [0] }
+        ],
+        codeBlocks: [
+            { language: 'javascript', code: 'console.log(\'Hello from the mock backend\');' }
+        ],
+        candidates: [
+            { text: `Alternative mock reply ${turn} to: ${prompt}` }
+        ]
+    };
+}
+
+/**
+ * Build a candidate array in the StreamGenerate layout read by GeminiClient.parseBody
+ */
+function buildCandidate(rcid, { text = '', thoughts = null, webImages = [], generatedImages = [], sources = [], citations = [], codeBlocks = [] }) {
+    const candidate = [rcid, [text]];
+
+    if (citations.length > 0) {
+        candidate[2] = citations.map(citation => [citation.start, citation.end, citation.sourceIndexes]);
+    }
+
+    if (sources.length > 0) {
+        candidate[11] = sources.map(source => [[source.title, source.url, source.snippet]]);
+    }
+
+    if (webImages.length > 0 || generatedImages.length > 0) {
+        const images = [];
+        images[1] = webImages.map(image => {
+            const entry = [[[image.url], null, null, null, image.alt]];
+            entry[7] = [image.title];
+            return entry;
+        });
+        images[7] = [generatedImages.map((image, index) => {
+            const details = [];
+            details[5] = [image.alt];
+            details[6] = index + 1;
+            return [[null, null, null, [null, null, null, image.url]], null, null, details];
+        })];
+        candidate[12] = images;
+    }
+
+    if (codeBlocks.length > 0) {
+        candidate[14] = codeBlocks.map(block => [block.language, block.code]);
+    }
+
+    if (thoughts) {
+        candidate[37] = [[thoughts]];
+    }
+
+    return candidate;
+}
+
+/**
+ * Encode a response body (or error payload) as a length-prefixed StreamGenerate frame
+ */
+function encodeFrame(part) {
+    const line = JSON.stringify([part]);
+    return `${line.length}\n${line}\n`;
+}
+
+function bodyFrame(body) {
+    return encodeFrame(['wrb.fr', null, JSON.stringify(body)]);
+}
+
+function errorFrame(errorCode) {
+    return encodeFrame(['wrb.fr', null, null, null, null, [3, null, [['type.googleapis.com/assistant.boq.bard.application.BardErrorInfo', [errorCode]]]]]);
+}
+
+/**
+ * [seconds, nanoseconds] timestamp of a time in milliseconds
+ */
+function encodeTimestamp(time) {
+    return [Math.floor(time / 1000), (time % 1000) * 1e6];
+}
+
+/**
+ * Error thrown by an RPC handler, answered with a gRPC status (see RpcStatus)
+ */
+export function rpcError(status, message = `RPC failed with status ${status}`) {
+    const error = new Error(message);
+    error.rpcStatus = status;
+    return error;
+}
+
+/**
+ * Conversation turn in the READ_CHAT layout
+ * [[cid, rid], [cid, rid, chosen rcid], [[prompt]], [candidates], createdAt]
+ */
+function encodeTurn(cid, turn) {
+    return [
+        [cid, turn.rid],
+        [cid, turn.rid, turn.chosenRcid],
+        [[turn.prompt]],
+        [turn.candidates],
+        encodeTimestamp(turn.createdAt)
+    ];
+}
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Mock Gemini backend built on Express
+ */
+export class MockGeminiServer {
+    /**
+     * @param {Object} options - Mock options
+     * @param {string|Object} options.scenario - Default scenario name or definition (see SCENARIOS)
+     * @param {Object} options.scenarios - Extra named scenarios
+     * @param {boolean} options.verbose - Log every request
+     */
+    constructor({ scenario = 'default', scenarios = {}, verbose = false } = {}) {
+        this.scenarios = { ...SCENARIOS, ...scenarios };
+        this.verbose = verbose;
+        this.server = null;
+        this.url = null;
+        this.reset();
+        this.use(scenario);
+
+        // batchexecute handlers by rpcid: (payload, req) => result; throw rpcError() to fail a call
+        this.rpcHandlers = {
+            [RpcIds.LIST_CHATS]: payload => this.listChats(payload),
+            [RpcIds.READ_CHAT]: payload => this.readChat(payload),
+            [RpcIds.DELETE_CHAT]: payload => this.deleteChat(payload),
+            [RpcIds.EDIT_CHAT]: payload => this.editChat(payload),
+            [RpcIds.LIST_GEMS]: payload => this.listGems(payload),
+            [RpcIds.CREATE_GEM]: payload => this.createGem(payload),
+            [RpcIds.UPDATE_GEM]: payload => this.updateGem(payload),
+            [RpcIds.DELETE_GEM]: payload => this.deleteGem(payload),
+            [RpcIds.SHARE_CHAT]: payload => this.shareChat(payload),
+            [RpcIds.UNSHARE_CHAT]: payload => this.unshareChat(payload)
+        };
+        this.app = this.createApp();
+    }
+
+    /**
+     * Forget issued tokens, conversations, gems, shares, queued scenarios and logged requests
+     */
+    reset() {
+        this.accessTokens = new Set();
+        this.expiredCookies = new Set(); // Expired __Secure-1PSIDTS values
+        this.conversations = new Map(); // { cid: { title, pinned, replies, updatedAt, turns } }
+        this.gems = new Map(); // Custom gems { id: { name, description, instructions } }
+        this.shares = new Map(); // { shareId: { cid, title, turns, createdAt } }, snapshots of shared conversations
+        this.queue = [];
+        this.requests = [];
+        this.calls = []; // batchexecute calls
+    }
+
+    /**
+     * Resolve a scenario name or definition
+     */
+    getScenario(scenario) {
+        if (scenario && typeof scenario === 'object') {
+            return scenario;
+        }
+        if (!this.scenarios[scenario]) {
+            throw new Error(`Unknown scenario "${scenario}". Available: ${Object.keys(this.scenarios).join(', ')}`);
+        }
+        return this.scenarios[scenario];
+    }
+
+    /**
+     * Set the scenario used by every request that has no queued scenario
+     *
+     * @param {string|Object} scenario - Scenario name or definition
+     */
+    use(scenario) {
+        this.scenario = this.getScenario(scenario);
+        this.scenarioName = typeof scenario === 'string' ? scenario : 'custom';
+    }
+
+    /**
+     * Queue scenarios for the next generate requests, one per request
+     *
+     * @param {...(string|Object)} scenarios - Scenario names or definitions
+     */
+    enqueue(...scenarios) {
+        this.queue.push(...scenarios.map(scenario => this.getScenario(scenario)));
+    }
+
+    createApp() {
+        const app = express();
+        const paths = Object.fromEntries(Object.entries(Endpoints).map(([name, url]) => [name, new URL(url).pathname]));
+
+        app.use((req, res, next) => {
+            if (this.verbose && !req.path.startsWith('/__mock')) {
+                console.log(`[Mock] ${req.method} ${req.path}`);
+            }
+            req.cookies = parseCookieHeader(req.get('cookie'));
+            next();
+        });
+
+        app.get(paths.GOOGLE, (req, res) => {
+            res.append('Set-Cookie', `NID=${randomId('nid')}; Domain=.google.com; Path=/; Max-Age=15552000; HttpOnly`);
+            res.type('html').send('<html><body>Google</body></html>');
+        });
+
+        app.get(paths.INIT, (req, res) => {
+            if (!this.isSignedIn(req) || this.scenario.loggedOut) {
+                return res.type('html').send('<html><body>Sign in to continue to Gemini</body></html>');
+            }
+
+            const accessToken = randomId('at');
+            this.accessTokens.add(accessToken);
+            res.type('html').send(`<html><script>window.WIZ_global_data = ${JSON.stringify({ SNlM0e: accessToken, qKIAYe: 'mock' })};</script></html>`);
+        });
+
+        app.post(paths.ROTATE_COOKIES, (req, res) => {
+            if (!req.cookies['__Secure-1PSID']) {
+                return res.status(401).send('Unauthorized');
+            }
+
+            res.append('Set-Cookie', `__Secure-1PSIDTS=${randomId('sidts')}; Domain=.google.com; Path=/; Max-Age=31536000; Secure; HttpOnly`);
+            res.append('Set-Cookie', `__Secure-1PSIDCC=${randomId('sidcc')}; Domain=.google.com; Path=/; Max-Age=31536000; Secure; HttpOnly`);
+            res.type('text').send(')]}\'\n[["identity.hfcr",600]]');
+        });
+
+        app.post(paths.UPLOAD, (req, res) => {
+            req.resume();
+            req.on('end', () => res.type('text').send(`/contrib_service/ttl_1d/${randomId('upload')}`));
+        });
+
+        app.post(paths.GENERATE, express.urlencoded({ extended: false, limit: '10mb' }), (req, res) => this.handleGenerate(req, res));
+        app.post(paths.BATCH_EXEC, express.urlencoded({ extended: false }), (req, res) => this.handleBatchExecute(req, res));
+        app.get(`${paths.SHARE}/:shareId`, (req, res) => this.handleSharePage(req, res));
+
+        app.use('/__mock', express.json());
+        app.get('/__mock/state', (req, res) => {
+            res.json({ scenario: this.scenarioName, queued: this.queue.length, requests: this.requests.length, calls: this.calls.length });
+        });
+        app.get('/__mock/requests', (req, res) => res.json(this.requests));
+        app.get('/__mock/calls', (req, res) => res.json(this.calls));
+        app.post('/__mock/scenario', (req, res) => this.control(res, () => this.use(req.body?.scenario || 'default')));
+        app.post('/__mock/queue', (req, res) => this.control(res, () => this.enqueue(...[].concat(req.body?.scenarios || []))));
+        app.post('/__mock/reset', (req, res) => this.control(res, () => {
+            this.reset();
+            this.use('default');
+        }));
+
+        return app;
+    }
+
+    control(res, action) {
+        try {
+            action();
+            res.json({ scenario: this.scenarioName, queued: this.queue.length });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    }
+
+    /**
+     * Whether a request carries __Secure-1PSID and a __Secure-1PSIDTS that has not expired
+     */
+    isSignedIn(req) {
+        return Boolean(req.cookies['__Secure-1PSID']) && !this.expiredCookies.has(req.cookies['__Secure-1PSIDTS']);
+    }
+
+    async handleGenerate(req, res) {
+        const scenario = this.queue.shift() || this.scenario;
+
+        let request;
+        try {
+            request = JSON.parse(JSON.parse(req.body['f.req'])[1]);
+        } catch (error) {
+            return res.status(400).send('Bad Request');
+        }
+
+        const [message, , metadata] = request;
+        const prompt = message[0];
+        const model = getModelName(req);
+        const temporary = request[45] === 1;
+        const gemId = request[19] || null;
+        this.requests.push({ prompt, model, metadata: metadata || null, files: message[3] || [], gem: gemId, temporary, at: new Date().toISOString() });
+
+        if (!this.isSignedIn(req) || !this.accessTokens.has(req.body.at)) {
+            return res.status(401).send('Unauthorized');
+        }
+
+        if (scenario.expireCookies) {
+            this.expiredCookies.add(req.cookies['__Secure-1PSIDTS']);
+            return res.status(401).send('Unauthorized');
+        }
+
+        if (scenario.status) {
+            return res.status(scenario.status).send(`Mock status ${scenario.status}`);
+        }
+
+        res.type('application/json');
+        res.write(')]}\'\n');
+
+        if (scenario.errorCode) {
+            return res.end(errorFrame(scenario.errorCode));
+        }
+
+        // Continue the conversation from the request metadata ([cid, rid, rcid]) or start one
+        // Temporary conversations are kept so they can continue, but never listed or read
+        const cid = metadata && metadata[0] ? metadata[0] : randomId('c');
+        const conversation = this.conversations.get(cid) || { title: prompt.slice(0, 60), pinned: false, replies: 0, turns: [], temporary };
+        conversation.replies++;
+        this.conversations.set(cid, conversation);
+
+        const gem = gemId ? this.findGem(gemId) : null;
+        const context = { prompt, model, turn: conversation.replies, cid, metadata: metadata || null, temporary, gem };
+        const overrides = typeof scenario.response === 'function' ? scenario.response(context) : scenario.response;
+        const response = { ...defaultResponse(context), ...overrides };
+        const alternatives = response.candidates || [];
+
+        const first = buildCandidate(randomId('rc'), response);
+        const body = [null, [cid, randomId('r')], null, null, [
+            first,
+            ...alternatives.map(candidate => buildCandidate(randomId('rc'), candidate))
+        ]];
+        this.recordTurn(conversation, metadata, { rid: body[1][1], prompt, candidates: body[4] });
+
+        // Stream the first candidate's text and thoughts as cumulative snapshots, then the full body
+        const frames = Math.max(1, scenario.frames || 4);
+        const frameDelay = scenario.frameDelay || 0;
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+
+        for (let i = 1; i < frames && !closed; i++) {
+            const share = i / frames;
+            const partial = buildCandidate(first[0], {
+                text: response.text.slice(0, Math.ceil(response.text.length * share)),
+                thoughts: response.thoughts ? response.thoughts.slice(0, Math.ceil(response.thoughts.length * share)) : null
+            });
+            res.write(bodyFrame([null, body[1], null, null, [partial]]));
+            if (frameDelay) {
+                await new Promise(resolve => setTimeout(resolve, frameDelay));
+            }
+        }
+
+        if (!closed) {
+            res.end(bodyFrame(body));
+        }
+    }
+
+    /**
+     * Add a reply to a conversation's history
+     * Replying to an earlier turn (regenerate, edit) replaces the turns after it, as the web
+     * app only shows the latest branch
+     */
+    recordTurn(conversation, metadata, { rid, prompt, candidates }) {
+        const parentIndex = metadata && metadata[1]
+            ? conversation.turns.findIndex(turn => turn.rid === metadata[1])
+            : -1;
+        if (parentIndex >= 0 && metadata[2]) {
+            conversation.turns[parentIndex].chosenRcid = metadata[2];
+        }
+
+        conversation.turns = conversation.turns.slice(0, parentIndex + 1);
+        conversation.turns.push({ rid, chosenRcid: candidates[0][0], prompt, candidates, createdAt: Date.now() });
+        conversation.updatedAt = Date.now();
+    }
+
+    handleBatchExecute(req, res) {
+        let calls;
+        try {
+            calls = JSON.parse(req.body['f.req'])[0];
+            if (!Array.isArray(calls)) {
+                throw new Error('No calls');
+            }
+        } catch (error) {
+            return res.status(400).send('Bad Request');
+        }
+
+        this.calls.push(...calls.map(([rpcid, payload]) => ({ rpcid, payload, at: new Date().toISOString() })));
+
+        if (!this.isSignedIn(req) || !this.accessTokens.has(req.body.at)) {
+            return res.status(401).send('Unauthorized');
+        }
+
+        const entries = calls.map(([rpcid, payload]) => {
+            const handler = this.rpcHandlers[rpcid];
+            if (!handler) {
+                return ['wrb.fr', rpcid, null, null, null, [RpcStatus.UNIMPLEMENTED], 'generic'];
+            }
+            try {
+                return ['wrb.fr', rpcid, JSON.stringify(handler(JSON.parse(payload), req)), null, null, null, 'generic'];
+            } catch (error) {
+                if (!error.rpcStatus) {
+                    throw error;
+                }
+                return ['wrb.fr', rpcid, null, null, null, [error.rpcStatus], 'generic'];
+            }
+        });
+
+        const chunk = JSON.stringify([...entries, ['di', 42], ['af.httprm', 42, '-0', 7]]);
+        res.type('application/json').send(`)]}'\n\n${chunk.length}\n${chunk}\n`);
+    }
+
+    /**
+     * LIST_CHATS: [limit, pageToken] -> [[[cid, title, pinned, null, null, updatedAt]], nextPageToken]
+     * Page tokens are offsets into the list: pinned conversations first, then most recently updated
+     */
+    listChats([limit = 20, pageToken = null] = []) {
+        const chats = [...this.conversations.entries()]
+            .filter(([, conversation]) => !conversation.temporary)
+            .sort(([, a], [, b]) => Number(b.pinned) - Number(a.pinned) || b.updatedAt - a.updatedAt);
+        const offset = parseInt(pageToken, 10) || 0;
+        const page = chats.slice(offset, offset + limit);
+
+        return [
+            page.map(([cid, conversation]) => [cid, conversation.title, conversation.pinned, null, null, encodeTimestamp(conversation.updatedAt)]),
+            offset + limit < chats.length ? String(offset + limit) : null
+        ];
+    }
+
+    /**
+     * READ_CHAT: [cid, limit] -> [turns] newest first, each
+     * [[cid, rid], [cid, rid, chosen rcid], [[prompt]], [candidates], createdAt]
+     * Unknown conversations have no turns
+     */
+    readChat([cid, limit = 50] = []) {
+        const conversation = this.conversations.get(cid);
+        if (!conversation || conversation.temporary) {
+            return [[]];
+        }
+
+        return [conversation.turns.slice(-limit).reverse().map(turn => encodeTurn(cid, turn))];
+    }
+
+    /**
+     * SHARE_CHAT: [cid] -> [shareId], sharing a snapshot of the conversation
+     */
+    shareChat([cid] = []) {
+        const conversation = this.conversations.get(cid);
+        if (!conversation || conversation.temporary) {
+            throw rpcError(RpcStatus.NOT_FOUND, `Conversation ${cid} not found`);
+        }
+
+        const shareId = crypto.randomBytes(6).toString('hex');
+        this.shares.set(shareId, {
+            cid,
+            title: conversation.title,
+            turns: structuredClone(conversation.turns),
+            createdAt: Date.now()
+        });
+        return [shareId];
+    }
+
+    /**
+     * UNSHARE_CHAT: [shareId] -> []
+     */
+    unshareChat([shareId] = []) {
+        this.shares.delete(shareId);
+        return [];
+    }
+
+    /**
+     * Share page: the conversation is the data of an AF_initDataCallback script,
+     * [[shareId, title, turns oldest first (READ_CHAT layout), createdAt]]
+     */
+    handleSharePage(req, res) {
+        const share = this.shares.get(req.params.shareId);
+        if (!share) {
+            return res.status(404).type('html').send('<html><body>Not found</body></html>');
+        }
+
+        const data = [[
+            req.params.shareId,
+            share.title,
+            share.turns.map(turn => encodeTurn(share.cid, turn)),
+            encodeTimestamp(share.createdAt)
+        ]];
+        res.type('html').send('<html><head><script>AF_initDataCallback({key: \'ds:0\', hash: \'1\', data:[], sideChannel: {}});</script>'
+            + `<script>AF_initDataCallback({key: 'ds:1', hash: '2', data:${JSON.stringify(data)}, sideChannel: {}});</script>`
+            + `</head><body>${share.title}</body></html>`);
+    }
+
+    /**
+     * DELETE_CHAT: [cid] -> [] (unknown conversations are already gone)
+     */
+    deleteChat([cid] = []) {
+        this.conversations.delete(cid);
+        return [];
+    }
+
+    /**
+     * Custom or predefined gem by id, or null
+     */
+    findGem(id) {
+        const custom = this.gems.get(id);
+        return custom ? { id, ...custom } : PREDEFINED_GEMS.find(gem => gem.id === id) || null;
+    }
+
+    /**
+     * LIST_GEMS: [type, [language], 0] -> [null, null, [[id, [name, description], [instructions]]]]
+     * Predefined gems (GemListTypes.PREDEFINED) come without instructions
+     */
+    listGems([type = GemListTypes.CUSTOM] = []) {
+        const gems = type === GemListTypes.PREDEFINED
+            ? PREDEFINED_GEMS.map(gem => [gem.id, [gem.name, gem.description], null])
+            : [...this.gems.entries()].map(([id, gem]) => [id, [gem.name, gem.description], [gem.instructions]]);
+        return [null, null, gems];
+    }
+
+    /**
+     * CREATE_GEM: [[name, description, instructions, ...]] -> [id]
+     */
+    createGem([[name, description, instructions] = []] = []) {
+        const id = crypto.randomBytes(6).toString('hex');
+        this.gems.set(id, { name, description, instructions });
+        return [id];
+    }
+
+    /**
+     * UPDATE_GEM: [id, [name, description, instructions, ...]] -> []
+     */
+    updateGem([id, [name, description, instructions] = []] = []) {
+        if (!this.gems.has(id)) {
+            throw rpcError(RpcStatus.NOT_FOUND, `Gem ${id} not found`);
+        }
+        this.gems.set(id, { name, description, instructions });
+        return [];
+    }
+
+    /**
+     * DELETE_GEM: [id] -> []
+     */
+    deleteGem([id] = []) {
+        this.gems.delete(id);
+        return [];
+    }
+
+    /**
+     * EDIT_CHAT: [null, [[field]], [cid, title, pinned]] -> [], for the title and pinned fields
+     */
+    editChat([, mask = [], [cid, title, pinned] = []] = []) {
+        const conversation = this.conversations.get(cid);
+        if (!conversation || conversation.temporary) {
+            throw rpcError(RpcStatus.NOT_FOUND, `Conversation ${cid} not found`);
+        }
+
+        const fields = mask.flat();
+        if (fields.includes('title')) {
+            conversation.title = title;
+        }
+        if (fields.includes('pinned')) {
+            conversation.pinned = Boolean(pinned);
+        }
+        return [];
+    }
+
+    /**
+     * Start listening
+     *
+     * @param {number} port - Port (0 picks a free one)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<string>} Base URL to use as the client's endpoints option
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, error => {
+                if (error) {
+                    return reject(error);
+                }
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and close open connections
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+export default MockGeminiServer;
+
+// Run standalone: MOCK_PORT=8787 MOCK_SCENARIO=slow-stream node src/mockServer.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const mock = new MockGeminiServer({ scenario: process.env.MOCK_SCENARIO || 'default', verbose: true });
+    const url = await mock.start(parseInt(process.env.MOCK_PORT, 10) || 8787, process.env.MOCK_HOST || '127.0.0.1');
+
+    console.log(`Mock Gemini backend running on ${url} (scenario: ${mock.scenarioName})`);
+    console.log(`Point the REST server at it with GEMINI_BASE_URL=${url}`);
+
+    const shutdown = async () => {
+        await mock.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
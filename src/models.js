@@ -0,0 +1,206 @@
+/**
+ * Model registry
+ * Resolves model names and aliases to model definitions (name + request header)
+ */
+
+import fs from 'fs';
+import { Models } from './constants.js';
+import { ModelInvalidError } from './errors.js';
+
+/**
+ * Build the model selection header for a Gemini model id
+ */
+function buildModelHeader(modelId) {
+    return {
+        'x-goog-ext-525001261-jspb': `[1,null,null,null,"${modelId}",null,null,0,[4]]`
+    };
+}
+
+/**
+ * Registry of known models, their aliases and capabilities
+ */
+export class ModelRegistry {
+    constructor() {
+        this.entries = new Map(); // { name: { model, aliases, capabilities } }
+        this.aliases = new Map(); // { alias: name }
+    }
+
+    /**
+     * Register a model or replace an existing one with the same name
+     *
+     * @param {Object} definition - Model definition
+     * @param {string} definition.name - Canonical model name
+     * @param {Object} definition.header - Request headers selecting the model
+     * @param {string} definition.modelId - Gemini model id, used to build the header if none is given
+     * @param {Array<string>} definition.aliases - Alternative names
+     * @param {Object} definition.capabilities - Capability flags (thinking, imageGeneration)
+     * @returns {Object} Registered model ({ name, header })
+     */
+    register(definition) {
+        const { name, header, modelId, aliases = [], capabilities = {} } = definition || {};
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('Model name is required');
+        }
+        if (!header && !modelId) {
+            throw new Error(`Model "${name}" needs either a header or a modelId`);
+        }
+
+        const key = name.toLowerCase();
+        this.unregister(key);
+
+        const model = { name, header: header || buildModelHeader(modelId) };
+        this.entries.set(key, {
+            model,
+            aliases: [...aliases],
+            capabilities: {
+                thinking: false,
+                imageGeneration: false,
+                ...capabilities
+            }
+        });
+
+        for (const alias of aliases) {
+            this.aliases.set(alias.toLowerCase(), key);
+        }
+
+        return model;
+    }
+
+    /**
+     * Remove a model and its aliases
+     *
+     * @param {string} name - Canonical model name
+     * @returns {boolean} Whether a model was removed
+     */
+    unregister(name) {
+        const key = name.toLowerCase();
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+
+        for (const alias of entry.aliases) {
+            if (this.aliases.get(alias.toLowerCase()) === key) {
+                this.aliases.delete(alias.toLowerCase());
+            }
+        }
+        this.entries.delete(key);
+        return true;
+    }
+
+    /**
+     * Resolve a model name, alias or model object to a registered model
+     *
+     * @param {string|Object} nameOrModel - Name, alias, or model object with a header
+     * @returns {Object} Model ({ name, header })
+     * @throws {ModelInvalidError} If the model is unknown
+     */
+    resolve(nameOrModel) {
+        // Model objects (e.g. from Models constants) are used as-is
+        if (nameOrModel && typeof nameOrModel === 'object' && nameOrModel.header) {
+            return nameOrModel;
+        }
+
+        const entry = this.getEntry(nameOrModel);
+        if (!entry) {
+            throw new ModelInvalidError(
+                `Unknown model "${typeof nameOrModel === 'string' ? nameOrModel : JSON.stringify(nameOrModel)}". Available models: ${Array.from(this.entries.values()).map(e => e.model.name).join(', ')}`,
+                { code: 'UNKNOWN_MODEL' }
+            );
+        }
+
+        return entry.model;
+    }
+
+    /**
+     * Check whether a name or alias is registered
+     */
+    has(name) {
+        return Boolean(this.getEntry(name));
+    }
+
+    /**
+     * Get capability flags for a model
+     *
+     * @param {string|Object} nameOrModel - Name, alias or model object
+     * @returns {Object|null} Capabilities or null if the model is unknown
+     */
+    getCapabilities(nameOrModel) {
+        const name = typeof nameOrModel === 'object' && nameOrModel ? nameOrModel.name : nameOrModel;
+        const entry = this.getEntry(name);
+        return entry ? { ...entry.capabilities } : null;
+    }
+
+    /**
+     * List all registered models with their aliases and capabilities
+     */
+    list() {
+        return Array.from(this.entries.values()).map(({ model, aliases, capabilities }) => ({
+            name: model.name,
+            aliases: [...aliases],
+            capabilities: { ...capabilities }
+        }));
+    }
+
+    /**
+     * Register models from a config object, array or JSON file path
+     * Config format: [{ "name", "modelId" | "header", "aliases", "capabilities" }]
+     * or { "models": [...] }
+     *
+     * @param {string|Array|Object} config - Model definitions or path to a JSON file
+     * @returns {Array<Object>} Registered models
+     */
+    load(config) {
+        if (typeof config === 'string') {
+            config = JSON.parse(fs.readFileSync(config, 'utf8'));
+        }
+
+        const definitions = Array.isArray(config) ? config : (config?.models || []);
+        return definitions.map(definition => this.register(definition));
+    }
+
+    getEntry(name) {
+        if (typeof name !== 'string') {
+            return null;
+        }
+
+        const key = name.trim().toLowerCase();
+        return this.entries.get(key) || this.entries.get(this.aliases.get(key)) || null;
+    }
+}
+
+/**
+ * Shared registry pre-populated with the built-in Models
+ */
+export const modelRegistry = new ModelRegistry();
+
+modelRegistry.register({
+    ...Models.UNSPECIFIED,
+    aliases: ['default', 'auto']
+});
+modelRegistry.register({
+    ...Models.GEMINI_2_5_FLASH,
+    aliases: ['flash', '2.5-flash', 'gemini-flash', 'gemini-2.5-flash-002'],
+    capabilities: { thinking: true, imageGeneration: true }
+});
+modelRegistry.register({
+    ...Models.GEMINI_2_5_PRO,
+    aliases: ['pro', '2.5-pro', 'gemini-pro', 'gemini-2.5-pro-002'],
+    capabilities: { thinking: true, imageGeneration: true }
+});
+modelRegistry.register({
+    ...Models.GEMINI_2_0_FLASH,
+    aliases: ['2.0-flash', 'gemini-2.0-flash-exp'],
+    capabilities: { thinking: false, imageGeneration: true }
+});
+
+/**
+ * Resolve a model name, alias or model object using the shared registry
+ *
+ * @param {string|Object} nameOrModel - Name, alias, or model object
+ * @returns {Object} Model ({ name, header })
+ */
+export function resolveModel(nameOrModel) {
+    return modelRegistry.resolve(nameOrModel);
+}
@@ -0,0 +1,220 @@
+/**
+ * OpenAI Chat Completions compatibility helpers
+ * Converts between the OpenAI request/response format and Gemini prompts/outputs
+ */
+
+import crypto from 'crypto';
+
+const ROLE_LABELS = {
+    system: 'System',
+    developer: 'System',
+    user: 'User',
+    assistant: 'Assistant',
+    tool: 'Tool'
+};
+
+/**
+ * Convert an OpenAI message content (string or content parts) into text and attachments
+ * Only base64 data URLs are turned into attachments; remote image URLs are referenced in the text
+ */
+function parseContent(content, files) {
+    if (content === null || content === undefined) {
+        return '';
+    }
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (!Array.isArray(content)) {
+        throw new Error('Message content must be a string or an array of content parts');
+    }
+
+    const texts = [];
+    for (const part of content) {
+        if (part?.type === 'text') {
+            texts.push(part.text || '');
+        } else if (part?.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            const match = url && url.match(/^data:([^;]+);base64,(.+)$/);
+            if (match) {
+                const extension = match[1].split('/')[1] || 'bin';
+                files.push({
+                    data: Buffer.from(match[2], 'base64'),
+                    fileName: `image_${files.length + 1}.${extension}`
+                });
+            } else if (url) {
+                texts.push(`[Image: ${url}]`);
+            }
+        }
+    }
+    return texts.join('\n');
+}
+
+/**
+ * Flatten an OpenAI `messages` array into a single Gemini prompt
+ * A lone user message (optionally preceded by system messages) is sent as-is;
+ * longer conversations are rendered as a role-labelled transcript
+ *
+ * @param {Array<Object>} messages - OpenAI chat messages
+ * @returns {{prompt: string, files: Array<Object>}} Prompt and attachments
+ */
+export function messagesToPrompt(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('messages must be a non-empty array');
+    }
+
+    const files = [];
+    const parsed = messages.map(message => {
+        if (!message || !ROLE_LABELS[message.role]) {
+            throw new Error(`Unsupported message role "${message?.role}"`);
+        }
+        return { role: message.role, text: parseContent(message.content, files) };
+    });
+
+    const system = parsed.filter(m => ROLE_LABELS[m.role] === 'System').map(m => m.text);
+    const conversation = parsed.filter(m => ROLE_LABELS[m.role] !== 'System');
+
+    if (conversation.length === 0 || conversation[conversation.length - 1].role !== 'user') {
+        throw new Error('The last message must have role "user"');
+    }
+
+    let prompt;
+    if (conversation.length === 1) {
+        prompt = [...system, conversation[0].text].join('\n\n');
+    } else {
+        const transcript = conversation.map(m => `${ROLE_LABELS[m.role]}: ${m.text}`);
+        prompt = [
+            ...system,
+            'Continue the following conversation. Reply only with the next Assistant message.',
+            transcript.join('\n\n')
+        ].join('\n\n');
+    }
+
+    return { prompt, files };
+}
+
+/**
+ * Rough token estimate (about 4 characters per token); Gemini does not report usage
+ */
+export function estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Generate an OpenAI-style completion id
+ */
+export function createCompletionId() {
+    return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Build a chat.completion object from a Gemini response
+ *
+ * @param {Object} response - Output of generateContent
+ * @param {Object} options - { id, model, prompt, n }
+ * @returns {Object} OpenAI chat.completion
+ */
+export function toChatCompletion(response, { id = createCompletionId(), model, prompt, n = 1 }) {
+    const candidates = response.candidates.slice(0, Math.max(1, n));
+
+    const choices = candidates.map((candidate, index) => {
+        const message = { role: 'assistant', content: candidate.text };
+        if (candidate.thoughts) {
+            message.reasoning_content = candidate.thoughts;
+        }
+        return { index, message, finish_reason: 'stop' };
+    });
+
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = candidates.reduce((total, candidate) => total + estimateTokens(candidate.text), 0);
+
+    return {
+        id,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices,
+        usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        }
+    };
+}
+
+/**
+ * Build a chat.completion.chunk object for streaming
+ *
+ * @param {Object} options - { id, model, created, index, delta, finishReason }; index is the choice
+ * @returns {Object} OpenAI chat.completion.chunk
+ */
+export function toChatCompletionChunk({ id, model, created, index = 0, delta = {}, finishReason = null }) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index, delta, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Convert an API error body into the OpenAI error format
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} body - { message, code }
+ * @returns {Object} { error: { message, type, code } }
+ */
+export function toOpenAIError(status, body) {
+    let type = 'api_error';
+    if (status === 400 || status === 404) type = 'invalid_request_error';
+    else if (status === 401) type = 'authentication_error';
+    else if (status === 429) type = 'rate_limit_error';
+
+    return {
+        error: {
+            message: body.message,
+            type,
+            code: body.code || null
+        }
+    };
+}
+
+/**
+ * Read Google cookies passed as the bearer token
+ * Accepts "<__Secure-1PSID>", "<__Secure-1PSID>;<__Secure-1PSIDTS>" or a cookie
+ * string "__Secure-1PSID=...; __Secure-1PSIDTS=..."
+ * Tokens that do not look like a __Secure-1PSID value (e.g. placeholder "sk-..." keys) or carry an
+ * empty one are ignored
+ *
+ * @param {string} authorization - Authorization header
+ * @returns {Object|null} { secure1PSID, secure1PSIDTS } or null
+ */
+export function parseBearerCookies(authorization) {
+    const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return null;
+    }
+
+    const token = match[1].trim();
+
+    if (token.includes('__Secure-1PSID=')) {
+        const secure1PSID = token.match(/__Secure-1PSID=([^;\s]+)/);
+        const secure1PSIDTS = token.match(/__Secure-1PSIDTS=([^;\s]+)/);
+        // An empty __Secure-1PSID is the same as none
+        if (!secure1PSID) {
+            return null;
+        }
+        return {
+            secure1PSID: secure1PSID[1],
+            secure1PSIDTS: secure1PSIDTS ? secure1PSIDTS[1] : undefined
+        };
+    }
+
+    // __Secure-1PSID values start with "g.a" followed by digits
+    if (/^g\.a\d/.test(token)) {
+        const [secure1PSID, secure1PSIDTS] = token.split(';').map(part => part.trim());
+        return { secure1PSID, secure1PSIDTS: secure1PSIDTS || undefined };
+    }
+
+    return null;
+}
@@ -0,0 +1,1007 @@
+/**
+ * StreamGenerate and batchexecute response parser
+ * Where each field lives in a decoded response body is described by a versioned schema
+ * instead of being hard-coded, so a payload change from Google can be fixed by
+ * overriding a path. Fields that fail to resolve are reported instead of silently
+ * coming back empty.
+ *
+ * Field spec: { path, type, required, default, items, fields }
+ *   path     - Indexes into the body or candidate array, e.g. [37, 0, 0]
+ *   type     - Expected value: 'string', 'number', 'boolean', 'array' or 'any'
+ *   required - The body or candidate cannot be used without this field (inside items or fields,
+ *              the item is skipped instead)
+ *   default  - Value when the field is absent (null if not given)
+ *   items    - Field specs resolved against every element of the array at path
+ *   fields   - Field specs resolved against the array at path, giving one object
+ */
+
+import { GeminiError, NotFoundError, ParseError, getFrameErrorCode, createErrorFromCode } from './errors.js';
+import { RpcStatus } from './constants.js';
+
+// Layout of a conversation turn, shared by the history and shared conversations
+const TURN_FIELDS = {
+    // [cid, rid, rcid of the chosen candidate]
+    metadata: { path: [1], type: 'array', required: true },
+    prompt: { path: [2, 0, 0], type: 'string', default: '' },
+    candidates: { path: [3, 0], type: 'array', required: true },
+    createdAt: { path: [4], type: 'array' }
+};
+
+/**
+ * Response schemas by version
+ */
+export const SCHEMAS = {
+    1: {
+        version: 1,
+        body: {
+            metadata: { path: [1], type: 'array' },
+            candidates: { path: [4], type: 'array', required: true }
+        },
+        candidate: {
+            rcid: { path: [0], type: 'string', required: true },
+            text: { path: [1, 0], type: 'string', required: true },
+            cardContent: { path: [22, 0], type: 'string' },
+            // Spans of the text backed by sources: [start, end, [source indexes]]
+            citations: {
+                path: [2],
+                type: 'array',
+                default: [],
+                items: {
+                    start: { path: [0], type: 'number', required: true },
+                    end: { path: [1], type: 'number', required: true },
+                    sourceIndexes: { path: [2], type: 'array', default: [] }
+                }
+            },
+            thoughts: { path: [37, 0, 0], type: 'string' },
+            fileAttachments: {
+                path: [30],
+                type: 'array',
+                default: [],
+                items: {
+                    fileName: { path: [0], type: 'string', default: 'file.txt' },
+                    title: { path: [2], type: 'string' },
+                    content: { path: [4], type: 'string' }
+                }
+            },
+            codeBlocks: {
+                path: [14],
+                type: 'array',
+                default: [],
+                items: {
+                    language: { path: [0], type: 'string', default: 'text' },
+                    code: { path: [1], type: 'string', required: true }
+                }
+            },
+            codeExecutionResult: {
+                path: [16],
+                type: 'array',
+                fields: {
+                    output: { path: [0], type: 'string', required: true },
+                    error: { path: [1], type: 'any' }
+                }
+            },
+            sources: {
+                path: [11],
+                type: 'array',
+                default: [],
+                items: {
+                    title: { path: [0, 0], type: 'string', default: '' },
+                    url: { path: [0, 1], type: 'string', default: '' },
+                    snippet: { path: [0, 2], type: 'string', default: '' }
+                }
+            },
+            factuality: {
+                path: [45],
+                type: 'array',
+                fields: {
+                    rating: { path: [0], type: 'any' },
+                    confidence: { path: [1], type: 'any' }
+                }
+            },
+            webImages: {
+                path: [12, 1],
+                type: 'array',
+                default: [],
+                items: {
+                    url: { path: [0, 0, 0], type: 'string', required: true },
+                    title: { path: [7, 0], type: 'string' },
+                    alt: { path: [0, 4], type: 'string' }
+                }
+            },
+            generatedImages: {
+                path: [12, 7, 0],
+                type: 'array',
+                default: [],
+                items: {
+                    url: { path: [0, 3, 3], type: 'string', required: true },
+                    number: { path: [3, 6], type: 'any' },
+                    alt: { path: [3, 5, 0], type: 'string', default: '' }
+                }
+            }
+        },
+        // Conversation list (batchexecute LIST_CHATS), pinned ones first, then most recently updated
+        chatList: {
+            chats: {
+                path: [0],
+                type: 'array',
+                default: [],
+                items: {
+                    cid: { path: [0], type: 'string', required: true },
+                    title: { path: [1], type: 'string', default: '' },
+                    pinned: { path: [2], type: 'boolean', default: false },
+                    // [seconds, nanoseconds]
+                    updatedAt: { path: [5], type: 'array' }
+                }
+            },
+            nextPageToken: { path: [1], type: 'string' }
+        },
+        // Turns of a conversation (batchexecute READ_CHAT), newest first; each reply's
+        // candidates are read with the candidate section
+        history: {
+            turns: {
+                path: [0],
+                type: 'array',
+                default: [],
+                items: TURN_FIELDS
+            }
+        },
+        // Shared conversation embedded in a share page (AF_initDataCallback data), turns
+        // oldest first in the history layout
+        share: {
+            shareId: { path: [0, 0], type: 'string' },
+            title: { path: [0, 1], type: 'string', default: '' },
+            turns: {
+                path: [0, 2],
+                type: 'array',
+                required: true,
+                items: TURN_FIELDS
+            },
+            createdAt: { path: [0, 3], type: 'array' }
+        },
+        // Gems (batchexecute LIST_GEMS), custom or predefined depending on the request
+        gemList: {
+            gems: {
+                path: [2],
+                type: 'array',
+                default: [],
+                items: {
+                    id: { path: [0], type: 'string', required: true },
+                    name: { path: [1, 0], type: 'string', default: '' },
+                    description: { path: [1, 1], type: 'string', default: '' },
+                    // Predefined gems do not expose their instructions
+                    instructions: { path: [2, 0], type: 'string', default: '' }
+                }
+            }
+        },
+        // Indexes that carry data the client does not use (kept out of the unknown list)
+        ignore: {
+            body: [],
+            candidate: []
+        }
+    }
+};
+
+export const DEFAULT_SCHEMA_VERSION = 1;
+
+/**
+ * Add a schema version (or replace one)
+ *
+ * @param {Object} schema - Complete schema with a numeric `version`
+ */
+export function registerSchema(schema) {
+    if (!schema || typeof schema.version !== 'number') {
+        throw new Error('Schema needs a numeric version');
+    }
+    SCHEMAS[schema.version] = schema;
+}
+
+/**
+ * Resolve a schema option into a complete schema
+ * An object is merged over the schema named by its `extends` version (the default if
+ * omitted), field by field: { candidate: { thoughts: { path: [38, 0, 0] } } } only moves
+ * thoughts, and a field set to null is dropped
+ *
+ * @param {number|Object|null} schema - Version number, override object or null for the default
+ * @returns {Object} Schema
+ */
+export function resolveSchema(schema = null) {
+    if (schema === null || schema === undefined) {
+        return SCHEMAS[DEFAULT_SCHEMA_VERSION];
+    }
+
+    if (typeof schema === 'number') {
+        if (!SCHEMAS[schema]) {
+            throw new Error(`Unknown response schema version ${schema}. Available: ${Object.keys(SCHEMAS).join(', ')}`);
+        }
+        return SCHEMAS[schema];
+    }
+
+    const base = resolveSchema(schema.extends ?? DEFAULT_SCHEMA_VERSION);
+    const mergeFields = (baseFields, overrides = {}) => {
+        const merged = { ...baseFields };
+        for (const [name, spec] of Object.entries(overrides)) {
+            if (spec === null) {
+                delete merged[name];
+            } else {
+                merged[name] = { ...baseFields[name], ...spec };
+            }
+        }
+        return merged;
+    };
+
+    return {
+        version: schema.version ?? base.version,
+        body: mergeFields(base.body, schema.body),
+        candidate: mergeFields(base.candidate, schema.candidate),
+        chatList: mergeFields(base.chatList || {}, schema.chatList),
+        history: mergeFields(base.history || {}, schema.history),
+        gemList: mergeFields(base.gemList || {}, schema.gemList),
+        share: mergeFields(base.share || {}, schema.share),
+        ignore: {
+            body: schema.ignore?.body ?? base.ignore?.body ?? [],
+            candidate: schema.ignore?.candidate ?? base.ignore?.candidate ?? []
+        }
+    };
+}
+
+/**
+ * Data arrays of the AF_initDataCallback({ key, data: [...], ... }) scripts of a page
+ * The calls are JavaScript, not JSON, so each array is cut out by matching brackets
+ * outside of strings
+ *
+ * @param {string} html - Page HTML
+ * @returns {Array<Array>} Decoded data arrays, in page order
+ */
+function readDataCallbacks(html) {
+    const results = [];
+    const pattern = /AF_initDataCallback\(\{[^]*?\bdata:\s*\[/g;
+
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const start = match.index + match[0].length - 1;
+        let depth = 0;
+        let inString = false;
+        let end = -1;
+
+        for (let i = start; i < html.length; i++) {
+            const char = html[i];
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']' && --depth === 0) {
+                end = i + 1;
+                break;
+            }
+        }
+
+        if (end === -1) {
+            break;
+        }
+
+        try {
+            results.push(JSON.parse(html.slice(start, end)));
+        } catch (e) {
+            // Not JSON (e.g. a function call), skip this callback
+        }
+        pattern.lastIndex = end;
+    }
+
+    return results;
+}
+
+/**
+ * Type name used in diagnostics
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Follow a path into a nested array
+ *
+ * @returns {Object} { status: 'ok' | 'missing' | 'invalid', value, expected, actual, depth }
+ *   'missing' means a level was null or absent (normal for optional content), 'invalid'
+ *   means the value at path.slice(0, depth) had an unexpected shape
+ */
+export function resolvePath(source, path, type = 'any') {
+    let value = source;
+
+    for (let depth = 0; depth < path.length; depth++) {
+        if (value === null || value === undefined) {
+            return { status: 'missing', value: undefined, depth };
+        }
+        if (typeof value !== 'object') {
+            return { status: 'invalid', value: undefined, actual: typeOf(value), expected: 'array', depth };
+        }
+        value = value[path[depth]];
+    }
+
+    if (value === null || value === undefined) {
+        return { status: 'missing', value: undefined, depth: path.length };
+    }
+    if (type !== 'any' && typeOf(value) !== type) {
+        return { status: 'invalid', value: undefined, actual: typeOf(value), expected: type, depth: path.length };
+    }
+
+    return { status: 'ok', value };
+}
+
+function formatPath(path) {
+    return path.map(index => `[${index}]`).join('');
+}
+
+/**
+ * ISO date of a [seconds, nanoseconds] timestamp
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp || typeof timestamp[0] !== 'number') {
+        return null;
+    }
+    return new Date(timestamp[0] * 1000 + Math.floor((timestamp[1] || 0) / 1e6)).toISOString();
+}
+
+/**
+ * Detect MIME type from file extension
+ */
+export function detectMimeType(fileName) {
+    if (!fileName) return 'text/plain';
+
+    const ext = fileName.split('.').pop().toLowerCase();
+    const mimeTypes = {
+        // Programming languages
+        'js': 'text/javascript',
+        'ts': 'text/typescript',
+        'py': 'text/x-python',
+        'cpp': 'text/x-c++',
+        'c': 'text/x-c',
+        'h': 'text/x-c',
+        'hpp': 'text/x-c++',
+        'java': 'text/x-java',
+        'cs': 'text/x-csharp',
+        'php': 'text/x-php',
+        'rb': 'text/x-ruby',
+        'go': 'text/x-go',
+        'rs': 'text/x-rust',
+        'swift': 'text/x-swift',
+        'kt': 'text/x-kotlin',
+        // Web
+        'html': 'text/html',
+        'css': 'text/css',
+        'json': 'application/json',
+        'xml': 'application/xml',
+        // Shell
+        'sh': 'application/x-sh',
+        'bash': 'application/x-sh',
+        // Text
+        'txt': 'text/plain',
+        'md': 'text/markdown',
+        // Other
+        'sql': 'application/sql',
+        'yaml': 'text/yaml',
+        'yml': 'text/yaml'
+    };
+
+    return mimeTypes[ext] || 'text/plain';
+}
+
+/**
+ * Collects problems found while applying a schema
+ */
+class Diagnostics {
+    constructor(schema) {
+        this.schemaVersion = schema.version;
+        this.missing = []; // Required fields that were absent
+        this.invalid = []; // Fields whose payload had an unexpected shape
+        this.skipped = []; // Items dropped because one of their required fields was absent
+        this.unknown = []; // Populated indexes the schema does not map
+    }
+
+    get ok() {
+        return this.missing.length === 0 && this.invalid.length === 0;
+    }
+
+    toJSON() {
+        return {
+            schemaVersion: this.schemaVersion,
+            ok: this.ok,
+            missing: this.missing,
+            invalid: this.invalid,
+            skipped: this.skipped,
+            unknown: this.unknown
+        };
+    }
+
+    /**
+     * One line per problem, for logs and error messages
+     */
+    summarize() {
+        return [
+            ...this.missing.map(entry => `${entry.field} missing at ${entry.path}`),
+            ...this.invalid.map(entry => `${entry.field} at ${entry.path}: expected ${entry.expected}, got ${entry.actual}`)
+        ];
+    }
+}
+
+/**
+ * Parses StreamGenerate responses with a response schema
+ */
+export class ResponseParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {number|Object} options.schema - Schema version or override (see resolveSchema)
+     * @param {boolean} options.strict - Throw a ParseError when any field has an unexpected shape,
+     *   not just required ones
+     * @param {boolean} options.debug - Attach diagnostics to every parsed response
+     */
+    constructor({ schema = null, strict = false, debug = false } = {}) {
+        this.schema = resolveSchema(schema);
+        this.strict = strict;
+        this.debug = debug;
+        this.reported = new Set(); // Problems already logged, so drift is reported once
+    }
+
+    /**
+     * Parse a complete StreamGenerate body
+     * Frames carry cumulative snapshots, so the last frame with candidates is the full response
+     *
+     * @param {string} responseText - Raw response from Gemini API
+     * @param {Object} options - { debug } to attach diagnostics
+     * @returns {Object} Parsed response with candidates and content
+     */
+    parseResponse(responseText, options = {}) {
+        try {
+            let body = null;
+            for (const line of responseText.split('\n')) {
+                body = this.parseFrame(line) || body;
+            }
+
+            if (!body) {
+                throw new Error('No valid response body found');
+            }
+
+            return this.parseBody(body, options);
+        } catch (error) {
+            if (error instanceof GeminiError) {
+                throw error;
+            }
+            throw new ParseError(`Failed to parse response: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Locate the main response body containing candidates within a decoded frame
+     *
+     * @param {Array} responseJson - Decoded StreamGenerate frame
+     * @returns {Array|null} Response body or null if the frame has no candidates
+     */
+    findResponseBody(responseJson) {
+        if (!Array.isArray(responseJson)) {
+            return null;
+        }
+
+        const { path } = this.schema.body.candidates;
+        for (let i = 0; i < responseJson.length; i++) {
+            try {
+                const mainPart = JSON.parse(responseJson[i][2]);
+                if (resolvePath(mainPart, path).status === 'ok') {
+                    return mainPart;
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode a single line of a StreamGenerate body
+     * Length prefixes, the XSSI guard and partial frames are ignored
+     *
+     * @param {string} line - Raw response line
+     * @returns {Array|null} Response body or null if the line carries no candidates
+     * @throws {GeminiError} If the frame is an error frame
+     */
+    parseFrame(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('[')) {
+            return null;
+        }
+
+        let responseJson;
+        try {
+            responseJson = JSON.parse(trimmed);
+        } catch (e) {
+            return null;
+        }
+
+        const body = this.findResponseBody(responseJson);
+        if (!body) {
+            const errorCode = getFrameErrorCode(responseJson);
+            if (errorCode !== null) {
+                throw createErrorFromCode(errorCode);
+            }
+        }
+
+        return body;
+    }
+
+    /**
+     * Text, thoughts and rcid of the first candidate, for streaming partial frames
+     *
+     * @param {Array} body - Response body
+     * @returns {Object} { text, thoughts, rcid }
+     */
+    parseSnapshot(body) {
+        const { candidates } = this.schema.body;
+        const candidate = resolvePath(body, candidates.path).value?.[0];
+        const field = name => this.schema.candidate[name]
+            ? resolvePath(candidate, this.schema.candidate[name].path, this.schema.candidate[name].type).value
+            : undefined;
+
+        return {
+            text: field('text') || '',
+            thoughts: field('thoughts') || '',
+            rcid: field('rcid') ?? null
+        };
+    }
+
+    /**
+     * Extract all content types from a response body
+     * The raw body and candidate arrays are available as non-enumerable `raw` properties
+     *
+     * @param {Array} body - Response body located by findResponseBody
+     * @param {Object} options - { debug } to attach diagnostics (defaults to the parser's setting)
+     * @returns {Object} Parsed response with candidates and content
+     * @throws {ParseError} If a required field is missing, or any field is malformed in strict mode
+     */
+    parseBody(body, { debug = this.debug } = {}) {
+        const diagnostics = new Diagnostics(this.schema);
+        const fields = this.extract(body, this.schema.body, 'body', diagnostics);
+        this.reportUnknown(body, this.schema.body, this.schema.ignore.body, 'body', diagnostics);
+
+        const extracted = this.extractCandidates(fields?.candidates || [], 'candidates', diagnostics);
+
+        this.checkDiagnostics(diagnostics);
+
+        if (extracted.length === 0) {
+            throw new ParseError('Failed to parse response: No candidates found in response');
+        }
+
+        const output = this.buildOutput(fields.metadata, fields.candidates, extracted);
+        Object.defineProperty(output, 'raw', { value: body, enumerable: false });
+
+        if (debug) {
+            output.diagnostics = diagnostics.toJSON();
+        }
+
+        return output;
+    }
+
+    /**
+     * Read the result of one call from a batchexecute body
+     * Results are JSON strings inside ["wrb.fr", rpcid, result, ...] entries of length-prefixed chunks
+     *
+     * @param {string} responseText - Raw batchexecute response
+     * @param {string} rpcid - Id of the call (see RpcIds)
+     * @returns {*} Decoded result, or null if the call returned nothing
+     * @throws {GeminiError} If the call failed
+     */
+    parseBatchResponse(responseText, rpcid) {
+        for (const line of responseText.split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('[')) {
+                continue;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(trimmed);
+            } catch (e) {
+                continue;
+            }
+
+            const entry = Array.isArray(chunk)
+                ? chunk.find(item => Array.isArray(item) && item[0] === 'wrb.fr' && item[1] === rpcid)
+                : null;
+            if (!entry) {
+                continue;
+            }
+
+            if (typeof entry[2] !== 'string') {
+                const errorCode = getFrameErrorCode([entry]);
+                if (errorCode !== null) {
+                    throw createErrorFromCode(errorCode);
+                }
+                if (Array.isArray(entry[5]) && entry[5][0] === RpcStatus.NOT_FOUND) {
+                    throw new NotFoundError(`Gemini call ${rpcid} failed: not found`);
+                }
+                if (Array.isArray(entry[5])) {
+                    throw new GeminiError(`Gemini call ${rpcid} failed with status ${entry[5][0]}`, { code: 'RPC_FAILED' });
+                }
+                return null;
+            }
+
+            try {
+                return JSON.parse(entry[2]);
+            } catch (error) {
+                throw new ParseError(`Failed to parse ${rpcid} result: ${error.message}`, { cause: error });
+            }
+        }
+
+        throw new ParseError(`Failed to parse response: No result for ${rpcid}`);
+    }
+
+    /**
+     * Parse a page of the conversation list
+     *
+     * @param {Array} payload - Decoded LIST_CHATS result
+     * @returns {Object} { chats: [{ cid, title, pinned, updatedAt }], nextPageToken }
+     * @throws {ParseError} In strict mode, if the list has an unexpected shape
+     */
+    parseChatList(payload) {
+        const diagnostics = new Diagnostics(this.schema);
+        const fields = this.extract(payload, this.schema.chatList, 'chatList', diagnostics) || {};
+        this.checkDiagnostics(diagnostics);
+
+        return {
+            chats: (fields.chats || []).map(chat => ({
+                cid: chat.cid,
+                title: chat.title,
+                pinned: chat.pinned,
+                updatedAt: formatTimestamp(chat.updatedAt)
+            })),
+            nextPageToken: fields.nextPageToken ?? null
+        };
+    }
+
+    /**
+     * Parse a gem list
+     *
+     * @param {Array} payload - Decoded LIST_GEMS result
+     * @param {boolean} predefined - Whether the list holds Google's predefined gems
+     * @returns {Array<Object>} [{ id, name, description, instructions, predefined }]
+     * @throws {ParseError} In strict mode, if the list has an unexpected shape
+     */
+    parseGemList(payload, predefined = false) {
+        const diagnostics = new Diagnostics(this.schema);
+        const fields = this.extract(payload, this.schema.gemList, 'gemList', diagnostics) || {};
+        this.checkDiagnostics(diagnostics);
+
+        return (fields.gems || []).map(gem => ({
+            id: gem.id,
+            name: gem.name,
+            description: gem.description,
+            instructions: gem.instructions,
+            predefined
+        }));
+    }
+
+    /**
+     * Parse the turns of a conversation
+     * Every reply is parsed with the candidate section, so turn outputs have the same shape as
+     * generated ones, with the candidate chosen in the conversation as the default response
+     *
+     * @param {Array} payload - Decoded READ_CHAT result
+     * @param {Object} options - { debug } to attach diagnostics (defaults to the parser's setting)
+     * @returns {Object} { turns: [{ rid, rcid, prompt, createdAt, output }] } oldest first
+     * @throws {ParseError} If a required field is missing, or any field is malformed in strict mode
+     */
+    parseChatHistory(payload, { debug = this.debug } = {}) {
+        const diagnostics = new Diagnostics(this.schema);
+        const fields = this.extract(payload, this.schema.history, 'history', diagnostics) || {};
+        const turns = this.extractTurns(fields.turns || [], 'history', diagnostics);
+        this.checkDiagnostics(diagnostics);
+
+        const result = {
+            turns: turns.reverse().map(turn => this.buildTurn(turn))
+        };
+
+        if (debug) {
+            result.diagnostics = diagnostics.toJSON();
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a shared conversation page (gemini.google.com/share/<id>)
+     * The conversation is embedded as the data of an AF_initDataCallback script, read with
+     * the share section; replies are parsed like history turns
+     *
+     * @param {string} html - Share page HTML
+     * @param {Object} options - { debug } to attach diagnostics (defaults to the parser's setting)
+     * @returns {Object} { shareId, title, createdAt, turns: [{ rid, rcid, prompt, createdAt, output }] } oldest first
+     * @throws {ParseError} If the page has no conversation, or any field is malformed in strict mode
+     */
+    parseSharePage(html, { debug = this.debug } = {}) {
+        for (const data of readDataCallbacks(String(html))) {
+            const diagnostics = new Diagnostics(this.schema);
+            const fields = this.extract(data, this.schema.share, 'share', diagnostics);
+            if (!fields) {
+                continue;
+            }
+
+            const turns = this.extractTurns(fields.turns, 'share', diagnostics);
+            this.checkDiagnostics(diagnostics);
+
+            const result = {
+                shareId: fields.shareId,
+                title: fields.title,
+                createdAt: formatTimestamp(fields.createdAt),
+                turns: turns.map(turn => this.buildTurn(turn))
+            };
+
+            if (debug) {
+                result.diagnostics = diagnostics.toJSON();
+            }
+
+            return result;
+        }
+
+        throw new ParseError('Failed to parse share page: No shared conversation found');
+    }
+
+    /**
+     * Resolve the candidates of every turn, dropping turns without a usable reply
+     */
+    extractTurns(turns, section, diagnostics) {
+        return turns
+            .map((turn, index) => ({
+                turn,
+                extracted: this.extractCandidates(turn.candidates, `${section}.turns[${index}].candidates`, diagnostics)
+            }))
+            .filter(({ extracted }) => extracted.length > 0);
+    }
+
+    /**
+     * Turn object with the reply parsed like generated output, the candidate chosen in the
+     * conversation being the default response
+     */
+    buildTurn({ turn, extracted }) {
+        const [cid = null, rid = null, rcid = null] = turn.metadata;
+        const chosen = Math.max(0, extracted.findIndex(candidate => candidate.rcid === rcid));
+        const output = this.buildOutput([cid, rid], turn.candidates, extracted, chosen);
+
+        return {
+            rid,
+            rcid: output.rcid,
+            prompt: turn.prompt,
+            createdAt: formatTimestamp(turn.createdAt),
+            output
+        };
+    }
+
+    /**
+     * Resolve the candidate section against every candidate array
+     */
+    extractCandidates(candidates, prefix, diagnostics) {
+        return candidates.map((candidate, index) => {
+            const name = `${prefix}[${index}]`;
+            this.reportUnknown(candidate, this.schema.candidate, this.schema.ignore.candidate, name, diagnostics);
+            return this.extract(candidate, this.schema.candidate, name, diagnostics);
+        });
+    }
+
+    /**
+     * Build the parsed output from extracted candidates, with one of them as the default response
+     *
+     * @param {Array} metadata - [cid, rid]
+     * @param {Array} rawCandidates - Candidate arrays
+     * @param {Array<Object>} extracted - Extracted fields of each candidate
+     * @param {number} chosen - Index of the default candidate
+     * @returns {Object} Parsed response with candidates and content
+     */
+    buildOutput(metadata, rawCandidates, extracted, chosen = 0) {
+        const candidates = extracted.map((candidateFields, index) => this.buildCandidate(rawCandidates[index], candidateFields));
+        const candidate = candidates[chosen];
+
+        // Return parsed response with all content types
+        return {
+            metadata: metadata,
+            candidates: candidates,
+            // Default response (first candidate unless another one was chosen)
+            text: candidate.text,
+            thoughts: candidate.thoughts,
+            images: candidate.images,
+            webImages: candidate.webImages,
+            generatedImages: candidate.generatedImages,
+            fileAttachments: candidate.fileAttachments,
+            codeBlocks: candidate.codeBlocks,
+            codeExecutionResult: candidate.codeExecutionResult,
+            factuality: candidate.factuality,
+            sources: candidate.sources,
+            citations: candidate.citations,
+            rcid: candidate.rcid
+        };
+    }
+
+    /**
+     * Apply the card content, attachment, code block and image conventions to extracted fields
+     */
+    buildCandidate(raw, fields) {
+        let text = fields.text;
+
+        // Handle special card content (replace URL with actual text)
+        if (text && /^http:\/\/googleusercontent\.com\/card_content\/\d+/.test(text)) {
+            text = fields.cardContent || text;
+        }
+
+        // Generated files link to the immersive entry chip in the text
+        const chipMatch = text ? text.match(/http:\/\/googleusercontent\.com\/immersive_entry_chip\/\d+/) : null;
+        const fileAttachments = fields.fileAttachments.map(file => ({
+            fileName: file.fileName,
+            mimeType: detectMimeType(file.fileName),
+            url: chipMatch ? chipMatch[0] : null,
+            title: file.title,
+            content: file.content
+        }));
+
+        // Fallback: Extract code blocks from markdown syntax in text
+        const codeBlocks = [...fields.codeBlocks];
+        if (codeBlocks.length === 0 && text) {
+            const codeBlockRegex = /```(\w+)?\n([\s\S]*?)```/g;
+            let match;
+            while ((match = codeBlockRegex.exec(text)) !== null) {
+                codeBlocks.push({
+                    language: match[1] || 'text',
+                    code: match[2].trim()
+                });
+            }
+        }
+
+        const webImages = fields.webImages.map(image => ({
+            type: 'web_image',
+            url: image.url,
+            title: image.title,
+            alt: image.alt
+        }));
+
+        const generatedImages = fields.generatedImages.map(image => ({
+            type: 'generated_image',
+            url: image.url,
+            title: image.number ? `Generated Image ${image.number}` : 'Generated Image',
+            alt: image.alt
+        }));
+
+        // Offsets index the raw text; sources outside the sources list are dropped
+        const citations = fields.citations
+            .filter(citation => citation.start >= 0 && citation.end >= citation.start)
+            .map(citation => ({
+                start: citation.start,
+                end: citation.end,
+                sourceIndexes: citation.sourceIndexes.filter(index => Number.isInteger(index) && index >= 0 && index < fields.sources.length)
+            }))
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const candidate = {
+            rcid: fields.rcid,
+            text: text,
+            cardContent: fields.cardContent,
+            thoughts: fields.thoughts,
+            webImages: webImages,
+            generatedImages: generatedImages,
+            // Combine all images into single array
+            images: [...webImages, ...generatedImages],
+            fileAttachments: fileAttachments,
+            codeBlocks: codeBlocks,
+            codeExecutionResult: fields.codeExecutionResult
+                ? { output: fields.codeExecutionResult.output, error: fields.codeExecutionResult.error || null }
+                : null,
+            factuality: fields.factuality
+                ? { rating: fields.factuality.rating || null, confidence: fields.factuality.confidence || null }
+                : null,
+            sources: fields.sources,
+            citations: citations
+        };
+        Object.defineProperty(candidate, 'raw', { value: raw, enumerable: false });
+
+        return candidate;
+    }
+
+    /**
+     * Resolve a set of field specs against a source array
+     *
+     * @returns {Object|null} Extracted values by field name, or null if a required field is absent
+     */
+    extract(source, specs, prefix, diagnostics, nested = false) {
+        const values = {};
+        let complete = true;
+
+        for (const [name, spec] of Object.entries(specs)) {
+            const field = `${prefix}.${name}`;
+            const result = resolvePath(source, spec.path, spec.type || 'any');
+
+            if (result.status === 'invalid') {
+                // Point at the level that had the wrong shape, not the whole path
+                diagnostics.invalid.push({
+                    field,
+                    path: formatPath(spec.path.slice(0, result.depth)),
+                    expected: result.expected,
+                    actual: result.actual
+                });
+            } else if (result.status === 'missing' && spec.required) {
+                (nested ? diagnostics.skipped : diagnostics.missing).push({ field, path: formatPath(spec.path) });
+            }
+
+            if (result.status !== 'ok') {
+                complete = complete && !spec.required;
+                values[name] = spec.default !== undefined ? structuredClone(spec.default) : null;
+                continue;
+            }
+
+            if (spec.items) {
+                values[name] = result.value
+                    .map((item, index) => item === null || item === undefined
+                        ? null
+                        : this.extract(item, spec.items, `${field}[${index}]`, diagnostics, true))
+                    .filter(Boolean);
+            } else if (spec.fields) {
+                values[name] = this.extract(result.value, spec.fields, field, diagnostics, true);
+            } else {
+                values[name] = result.value;
+            }
+        }
+
+        return complete ? values : null;
+    }
+
+    /**
+     * Record populated top-level indexes that no field (or ignore entry) accounts for
+     */
+    reportUnknown(source, specs, ignore, prefix, diagnostics) {
+        if (!Array.isArray(source)) {
+            return;
+        }
+
+        const known = new Set([...Object.values(specs).map(spec => spec.path[0]), ...ignore]);
+        source.forEach((value, index) => {
+            if (value !== null && value !== undefined && !known.has(index)) {
+                diagnostics.unknown.push({ field: prefix, path: `[${index}]`, type: typeOf(value) });
+            }
+        });
+    }
+
+    /**
+     * Throw on missing required fields (or any problem in strict mode) and log new problems once
+     */
+    checkDiagnostics(diagnostics) {
+        if (diagnostics.ok) {
+            return;
+        }
+
+        const problems = diagnostics.summarize();
+        const fatal = this.strict || diagnostics.missing.length > 0;
+
+        if (fatal) {
+            const error = new ParseError(`Response does not match schema v${this.schema.version}: ${problems.join('; ')}`);
+            error.diagnostics = diagnostics.toJSON();
+            throw error;
+        }
+
+        // Index-independent signature, so the same drift across candidates is logged once
+        const fresh = problems.filter(problem => {
+            const signature = problem.replace(/\[\d+\]\./g, '[].');
+            if (this.reported.has(signature)) {
+                return false;
+            }
+            this.reported.add(signature);
+            return true;
+        });
+        if (fresh.length > 0) {
+            console.warn(`[Parser] Response does not match schema v${this.schema.version}: ${fresh.join('; ')}`);
+        }
+    }
+}
+
+export default ResponseParser;
@@ -0,0 +1,609 @@
+/**
+ * Multi-account client pool
+ * Spreads requests across several Google accounts and fails over when one
+ * of them hits a usage limit or gets blocked
+ */
+
+import { GeminiClient, ChatSession } from './client.js';
+import { Models } from './constants.js';
+import { resolveModel } from './models.js';
+import {
+    AuthError,
+    NotFoundError,
+    UsageLimitError,
+    RateLimitError,
+    IPBlockedError
+} from './errors.js';
+
+/**
+ * Default cooldown per error type in milliseconds
+ */
+export const DEFAULT_COOLDOWNS = {
+    usageLimit: 60 * 60 * 1000, // 1 hour (error 1037, only for the model that hit it)
+    rateLimit: 60 * 1000, // 1 minute (HTTP 429)
+    ipBlocked: 30 * 60 * 1000, // 30 minutes (error 1060)
+    auth: 10 * 60 * 1000 // 10 minutes (expired cookies)
+};
+
+/**
+ * Name of the model a request uses, which usage-limit cooldowns are kept per
+ */
+function getModelName(model) {
+    return resolveModel(model || Models.UNSPECIFIED).name;
+}
+
+/**
+ * Pool of GeminiClient instances, one per account
+ */
+export class GeminiClientPool {
+    /**
+     * @param {Array<Object>} accounts - Accounts: [{ id, secure1PSID, secure1PSIDTS, proxy, cookies }]
+     *   (cookies: optional CookieJar or cookie values passed to the client)
+     * @param {Object} options - Pool options
+     * @param {string} options.strategy - 'round-robin' or 'least-used'
+     * @param {Object} options.cooldowns - Cooldown overrides (see DEFAULT_COOLDOWNS)
+     * @param {boolean} options.verbose - Enable verbose logging
+     * @param {Object} options.credentialStore - Credential store shared by the accounts' clients
+     * @param {string|Object} options.endpoints - Endpoint override for every client (see resolveEndpoints)
+     * @param {ResponseParser|Object} options.parser - Response parser (or parser options) for every client
+     * @param {boolean} options.temporary - Send every request of every account as a temporary chat
+     */
+    constructor(accounts = [], options = {}) {
+        const {
+            strategy = 'round-robin',
+            cooldowns = {},
+            verbose = true,
+            credentialStore,
+            endpoints,
+            parser,
+            temporary = false
+        } = options;
+
+        if (!['round-robin', 'least-used'].includes(strategy)) {
+            throw new Error(`Unknown pool strategy "${strategy}". Use "round-robin" or "least-used"`);
+        }
+
+        this.strategy = strategy;
+        this.cooldowns = { ...DEFAULT_COOLDOWNS, ...cooldowns };
+        this.verbose = verbose;
+        this.temporary = temporary;
+        this.nextIndex = 0;
+        this.accounts = accounts.map((account, index) => ({
+            id: account.id || `account_${index + 1}`,
+            client: new GeminiClient(account.secure1PSID, account.secure1PSIDTS, account.proxy || null, {
+                credentialStore,
+                endpoints,
+                parser,
+                temporary,
+                cookies: account.cookies
+            }),
+            ready: false,
+            cooldownUntil: 0,
+            modelCooldowns: new Map(), // Model name -> end of its usage-limit cooldown
+            lastError: null,
+            inFlight: 0,
+            requests: 0
+        }));
+    }
+
+    /**
+     * Initialize every account's client
+     * Accounts that fail to initialize are left out until they are re-initialized
+     *
+     * @param {Object} options - Options passed to GeminiClient.init
+     * @returns {Promise<number>} Number of accounts ready to serve requests
+     */
+    async init(options = {}) {
+        this.initOptions = options;
+
+        await Promise.all(this.accounts.map(account => this.initAccount(account)));
+
+        const ready = this.accounts.filter(account => account.ready).length;
+        if (this.verbose) {
+            console.log(`[Pool] ${ready}/${this.accounts.length} account(s) ready`);
+        }
+        return ready;
+    }
+
+    /**
+     * Initialize a single account, recording the failure instead of throwing
+     */
+    async initAccount(account) {
+        try {
+            await account.client.init(this.initOptions);
+            account.ready = true;
+            account.lastError = null;
+        } catch (error) {
+            account.ready = false;
+            account.lastError = error.message;
+            console.error(`[Pool] Failed to initialize ${account.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Pick an available account according to the pool strategy
+     *
+     * @param {Set<string>} exclude - Account ids already tried for this request
+     * @param {string|null} model - Model name of the request; accounts over their usage limit for
+     *   this model are skipped
+     * @returns {Object} Account entry
+     * @throws {UsageLimitError} If every account is cooling down or unavailable
+     */
+    acquire(exclude = new Set(), model = null) {
+        const now = Date.now();
+        const available = this.accounts.filter(account =>
+            account.ready && this.getCooldownUntil(account, model) <= now && !exclude.has(account.id)
+        );
+
+        if (available.length === 0) {
+            const cooling = this.accounts.filter(account => account.ready && this.getCooldownUntil(account, model) > now);
+            const retryAt = cooling.length > 0 ? Math.min(...cooling.map(account => this.getCooldownUntil(account, model))) : null;
+            const error = new UsageLimitError(
+                retryAt
+                    ? `All accounts are unavailable. Next account available at ${new Date(retryAt).toISOString()}`
+                    : 'No accounts are available',
+                { code: 'NO_ACCOUNTS_AVAILABLE' }
+            );
+            error.retryAt = retryAt;
+            throw error;
+        }
+
+        if (this.strategy === 'least-used') {
+            return available.reduce((best, account) =>
+                account.inFlight < best.inFlight ||
+                (account.inFlight === best.inFlight && account.requests < best.requests)
+                    ? account
+                    : best
+            );
+        }
+
+        // Round-robin over the full account list so the rotation is stable
+        for (let i = 0; i < this.accounts.length; i++) {
+            const account = this.accounts[(this.nextIndex + i) % this.accounts.length];
+            if (available.includes(account)) {
+                this.nextIndex = (this.accounts.indexOf(account) + 1) % this.accounts.length;
+                return account;
+            }
+        }
+        return available[0];
+    }
+
+    /**
+     * End of an account's cooldown for a model: its own cooldown or, for a usage limit, the model's
+     *
+     * @param {Object} account - Account entry
+     * @param {string|null} model - Model name, or null for the account-wide cooldown only
+     * @returns {number} Timestamp in milliseconds (0 or in the past when the account is available)
+     */
+    getCooldownUntil(account, model = null) {
+        const modelUntil = model ? account.modelCooldowns.get(model) || 0 : 0;
+        return Math.max(account.cooldownUntil, modelUntil);
+    }
+
+    /**
+     * Put an account into cooldown if the error indicates it cannot serve requests for now
+     * Usage limits (1037) apply to one model, so they only cool the account down for that model.
+     * The error gets a retryAt with the end of the cooldown
+     *
+     * @param {Object} account - Account entry
+     * @param {Error} error - Error raised by the account's client
+     * @param {string|null} model - Model name of the failed request
+     * @returns {boolean} Whether the account was put into cooldown
+     */
+    reportError(account, error, model = null) {
+        let cooldown = null;
+        if (error instanceof RateLimitError) {
+            cooldown = this.cooldowns.rateLimit;
+        } else if (error instanceof UsageLimitError) {
+            cooldown = this.cooldowns.usageLimit;
+        } else if (error instanceof IPBlockedError) {
+            cooldown = this.cooldowns.ipBlocked;
+        } else if (error instanceof AuthError) {
+            cooldown = this.cooldowns.auth;
+        }
+
+        if (cooldown === null) {
+            return false;
+        }
+
+        const until = Date.now() + cooldown;
+        if (error instanceof UsageLimitError && model) {
+            account.modelCooldowns.set(model, until);
+        } else {
+            account.cooldownUntil = until;
+        }
+        account.lastError = error.message;
+        error.retryAt = until;
+        if (this.verbose) {
+            const scope = error instanceof UsageLimitError && model ? ` (${model})` : '';
+            console.warn(`[Pool] ${account.id}${scope} cooling down for ${Math.round(cooldown / 1000)}s: ${error.message}`);
+        }
+
+        // Take the account out of rotation and re-initialize it once the cooldown ends
+        if (error instanceof AuthError) {
+            account.ready = false;
+            setTimeout(() => this.initAccount(account), cooldown).unref();
+        }
+
+        return true;
+    }
+
+    /**
+     * Run a request on a specific account, tracking usage and cooldowns
+     *
+     * @param {Object} account - Account entry
+     * @param {Function} fn - Request, called with the account's client
+     * @param {string|null} model - Model name of a generate request (see reportError)
+     */
+    async runOn(account, fn, model = null) {
+        account.inFlight++;
+        account.requests++;
+        try {
+            return await fn(account.client);
+        } catch (error) {
+            this.reportError(account, error, model);
+            throw error;
+        } finally {
+            account.inFlight--;
+        }
+    }
+
+    /**
+     * Stream content from a specific account, tracking usage and errors like runOn
+     */
+    async *streamOn(account, prompt, options) {
+        account.inFlight++;
+        account.requests++;
+        try {
+            yield* account.client.generateContentStream(prompt, options);
+        } catch (error) {
+            this.reportError(account, error, getModelName(options.model));
+            throw error;
+        } finally {
+            account.inFlight--;
+        }
+    }
+
+    /**
+     * Run a request on the next available account, failing over to other
+     * accounts when one is rate limited, blocked or logged out
+     *
+     * @param {Function} fn - Request, called with the account's client
+     * @param {string|null} model - Model name of a generate request (see acquire)
+     */
+    async run(fn, model = null) {
+        const tried = new Set();
+
+        for (;;) {
+            const account = this.acquire(tried, model);
+            tried.add(account.id);
+
+            try {
+                return await this.runOn(account, fn, model);
+            } catch (error) {
+                if (this.getCooldownUntil(account, model) <= Date.now() || tried.size >= this.accounts.length) {
+                    throw error;
+                }
+                if (this.verbose) {
+                    console.warn(`[Pool] Failing over from ${account.id}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate content on the next available account
+     * Accepts the same arguments as GeminiClient.generateContent; a gem belongs to an account,
+     * so prompts with a gem go to that account (see listGems) without failover
+     */
+    async generateContent(prompt, options = {}) {
+        const { accountId, ...generateOptions } = options;
+        const model = getModelName(generateOptions.model);
+        if (generateOptions.gem) {
+            return await this.runOn(this.getHistoryAccount(accountId), client => client.generateContent(prompt, generateOptions), model);
+        }
+        return await this.run(client => client.generateContent(prompt, generateOptions), model);
+    }
+
+    /**
+     * Stream content from the next available account
+     * Fails over only until the first event has been yielded; prompts with a gem go to the
+     * gem's account (see generateContent)
+     */
+    async *generateContentStream(prompt, options = {}) {
+        const { accountId, ...generateOptions } = options;
+        if (generateOptions.gem) {
+            yield* this.streamOn(this.getHistoryAccount(accountId), prompt, generateOptions);
+            return;
+        }
+
+        const model = getModelName(generateOptions.model);
+        const tried = new Set();
+
+        for (;;) {
+            const account = this.acquire(tried, model);
+            tried.add(account.id);
+
+            let started = false;
+            account.inFlight++;
+            account.requests++;
+            try {
+                for await (const event of account.client.generateContentStream(prompt, generateOptions)) {
+                    started = true;
+                    yield event;
+                }
+                return;
+            } catch (error) {
+                const cooled = this.reportError(account, error, model);
+                if (started || !cooled || tried.size >= this.accounts.length) {
+                    throw error;
+                }
+                if (this.verbose) {
+                    console.warn(`[Pool] Failing over from ${account.id}`);
+                }
+            } finally {
+                account.inFlight--;
+            }
+        }
+    }
+
+    /**
+     * Start a chat session pinned to one account
+     * cid/rid are account-specific, so every message of the chat goes to the same account; a chat
+     * with a gem starts on the gem's account (see listGems)
+     *
+     * @param {Object} options - ChatSession options, plus accountId to resume a chat on a given account
+     */
+    startChat(options = {}) {
+        const { accountId, ...chatOptions } = options;
+        const account = accountId || chatOptions.gem
+            ? this.getHistoryAccount(accountId)
+            : this.acquire(new Set(), getModelName(chatOptions.model));
+        const pool = this;
+
+        // Route the chat through the pool so usage and cooldowns are still tracked
+        const pinnedClient = {
+            accountId: account.id,
+            client: account.client,
+            generateContent(prompt, generateOptions) {
+                return pool.runOn(account, client => client.generateContent(prompt, generateOptions), getModelName(generateOptions.model));
+            },
+            deleteChat(cid) {
+                return pool.runOn(account, client => client.deleteChat(cid));
+            },
+            shareChat(cid) {
+                return pool.runOn(account, client => client.shareChat(cid));
+            },
+            unshareChat(share) {
+                return pool.runOn(account, client => client.unshareChat(share));
+            },
+            generateContentStream(prompt, generateOptions) {
+                return pool.streamOn(account, prompt, generateOptions);
+            }
+        };
+
+        return new ChatSession(pinnedClient, { ...chatOptions, temporary: this.temporary || chatOptions.temporary });
+    }
+
+    /**
+     * List the conversations of an account
+     * Conversations belong to an account, so this reads one account (the first ready one unless
+     * options.accountId is given) and the result carries its accountId
+     *
+     * @param {Object} options - GeminiClient.listChats options, plus accountId
+     * @returns {Promise<Object>} { accountId, chats, nextPageToken }
+     */
+    async listChats(options = {}) {
+        const { accountId, ...listOptions } = options;
+        const account = this.getHistoryAccount(accountId);
+        const result = await this.runOn(account, client => client.listChats(listOptions));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Read a conversation of an account (see listChats for how the account is picked)
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - GeminiClient.getChatHistory options, plus accountId
+     * @returns {Promise<Object>} { accountId, cid, turns }
+     */
+    async getChatHistory(cid, options = {}) {
+        const { accountId, ...historyOptions } = options;
+        const account = this.getHistoryAccount(accountId);
+        const result = await this.runOn(account, client => client.getChatHistory(cid, historyOptions));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Continue a conversation started elsewhere, pinned to the account that owns it
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - ChatSession options, plus accountId and the number of turns to load (limit)
+     * @returns {Promise<ChatSession>} Session continuing from the latest turn
+     */
+    async resumeChat(cid, options = {}) {
+        const { accountId, limit, ...chatOptions } = options;
+        const history = await this.getChatHistory(cid, { accountId, limit });
+        return ChatSession.fromHistory(this, history, { ...chatOptions, accountId: history.accountId });
+    }
+
+    /**
+     * Delete a conversation of an account (see listChats for how the account is picked)
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - { accountId }
+     */
+    async deleteChat(cid, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        await this.runOn(account, client => client.deleteChat(cid));
+    }
+
+    /**
+     * Rename a conversation of an account (see listChats for how the account is picked)
+     *
+     * @param {string} cid - Conversation id
+     * @param {string} title - New title
+     * @param {Object} options - { accountId }
+     */
+    async renameChat(cid, title, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        await this.runOn(account, client => client.renameChat(cid, title));
+    }
+
+    /**
+     * Pin or unpin a conversation of an account (see listChats for how the account is picked)
+     *
+     * @param {string} cid - Conversation id
+     * @param {boolean} pinned - Whether the conversation is pinned
+     * @param {Object} options - { accountId }
+     */
+    async pinChat(cid, pinned = true, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        await this.runOn(account, client => client.pinChat(cid, pinned));
+    }
+
+    /**
+     * Create a public link to a conversation of an account (see listChats for how the account is picked)
+     *
+     * @param {string} cid - Conversation id
+     * @param {Object} options - { accountId }
+     * @returns {Promise<Object>} { accountId, cid, shareId, url }
+     */
+    async shareChat(cid, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        const result = await this.runOn(account, client => client.shareChat(cid));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Remove a public link of an account (see listChats for how the account is picked)
+     *
+     * @param {string} share - Share id or link
+     * @param {Object} options - { accountId }
+     */
+    async unshareChat(share, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        await this.runOn(account, client => client.unshareChat(share));
+    }
+
+    /**
+     * Read a shared conversation from its public page
+     * Share pages are public, so this works even when no account is ready and does not count
+     * towards an account's usage. Accepts the same arguments as GeminiClient.getSharedChat
+     */
+    async getSharedChat(share, options = {}) {
+        if (this.accounts.length === 0) {
+            throw new UsageLimitError('No accounts are available', { code: 'NO_ACCOUNTS_AVAILABLE' });
+        }
+        return await this.accounts[0].client.getSharedChat(share, options);
+    }
+
+    /**
+     * List the gems of an account
+     * Like conversations, gems belong to an account: this reads one account (the first ready one
+     * unless options.accountId is given), the account prompts with a gem are sent from
+     *
+     * @param {Object} options - GeminiClient.listGems options, plus accountId
+     * @returns {Promise<Object>} { accountId, gems }
+     */
+    async listGems(options = {}) {
+        const { accountId, ...listOptions } = options;
+        const account = this.getHistoryAccount(accountId);
+        const result = await this.runOn(account, client => client.listGems(listOptions));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Create a gem on an account (see listGems for how the account is picked)
+     *
+     * @param {Object} gem - { name, instructions, description }
+     * @param {Object} options - { accountId }
+     * @returns {Promise<Object>} The gem, with its accountId
+     */
+    async createGem(gem, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        const result = await this.runOn(account, client => client.createGem(gem));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Replace a gem of an account (see listGems for how the account is picked)
+     *
+     * @param {string} id - Gem id
+     * @param {Object} gem - { name, instructions, description }
+     * @param {Object} options - { accountId }
+     * @returns {Promise<Object>} The gem, with its accountId
+     */
+    async updateGem(id, gem, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        const result = await this.runOn(account, client => client.updateGem(id, gem));
+        return { accountId: account.id, ...result };
+    }
+
+    /**
+     * Delete a gem of an account (see listGems for how the account is picked)
+     *
+     * @param {string} id - Gem id
+     * @param {Object} options - { accountId }
+     */
+    async deleteGem(id, options = {}) {
+        const account = this.getHistoryAccount(options.accountId);
+        await this.runOn(account, client => client.deleteGem(id));
+    }
+
+    /**
+     * Account entry by id
+     *
+     * @throws {NotFoundError} If no account has this id (code ACCOUNT_NOT_FOUND)
+     */
+    getAccount(accountId) {
+        const account = this.accounts.find(entry => entry.id === accountId);
+        if (!account) {
+            throw new NotFoundError(`Account "${accountId}" not found`, { code: 'ACCOUNT_NOT_FOUND' });
+        }
+        return account;
+    }
+
+    /**
+     * Account to read conversations from: the given one, or the first ready one
+     * Cooldowns only concern generation, so a cooling account can still be read
+     */
+    getHistoryAccount(accountId) {
+        if (accountId) {
+            return this.getAccount(accountId);
+        }
+        return this.accounts.find(account => account.ready) || this.acquire();
+    }
+
+    /**
+     * Current state of every account
+     */
+    getStatus() {
+        const now = Date.now();
+        return this.accounts.map(account => ({
+            id: account.id,
+            ready: account.ready,
+            available: account.ready && account.cooldownUntil <= now,
+            cooldownUntil: account.cooldownUntil > now ? new Date(account.cooldownUntil).toISOString() : null,
+            // Models the account is over its usage limit for, with the end of each cooldown
+            modelCooldowns: Object.fromEntries(Array.from(account.modelCooldowns)
+                .filter(([, until]) => until > now)
+                .map(([model, until]) => [model, new Date(until).toISOString()])),
+            lastError: account.lastError,
+            inFlight: account.inFlight,
+            requests: account.requests
+        }));
+    }
+
+    /**
+     * Close every account's client
+     */
+    async close() {
+        await Promise.all(this.accounts.map(account => account.client.close()));
+        for (const account of this.accounts) {
+            account.ready = false;
+        }
+    }
+}
+
+export default GeminiClientPool;
@@ -0,0 +1,341 @@
+/**
+ * Response text rendering
+ * Gemini's text refers to images, generated files and cards through opaque placeholders
+ * (http://googleusercontent.com/image_generation_content/0, .../immersive_entry_chip/1,
+ * .../card_content/0, ...). These helpers replace them with the matching parsed content and
+ * render the result as Markdown, sanitized HTML or plain text
+ */
+
+import { Lexer, Marked } from 'marked';
+
+/**
+ * Output formats: 'raw' leaves the text exactly as Gemini sent it
+ */
+export const RENDER_FORMATS = ['raw', 'markdown', 'html', 'text'];
+
+// Ids are word characters and slashes (dots only inside), so trailing punctuation is not taken
+const PLACEHOLDER_PATTERN = /https?:\/\/googleusercontent\.com\/([\w-]+)\/([\w/-]*(?:\.[\w/-]+)*)/g;
+
+// Protocols allowed in rendered links and images
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdownLabel(text) {
+    return String(text || '').replace(/[\\[\]]/g, '\\$&').replace(/\s+/g, ' ').trim();
+}
+
+function markdownImage(image) {
+    return `![${escapeMarkdownLabel(image.alt || image.title || 'Image')}](<${image.url}>)`;
+}
+
+function markdownFile(file) {
+    const language = file.fileName && file.fileName.includes('.') ? file.fileName.split('.').pop() : '';
+    const heading = file.title ? `**${file.title}** (\`${file.fileName}\`)` : `\`${file.fileName}\``;
+    if (!file.content) {
+        return heading;
+    }
+
+    // Longer fence than any backtick run in the file so its content cannot end the block
+    const longestRun = Math.max(2, ...(file.content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${heading}\n\n${fence}${language}\n${file.content.replace(/\n$/, '')}\n${fence}`;
+}
+
+/**
+ * Pick the item for a placeholder: by the number in the placeholder when it is in range,
+ * otherwise by order of appearance
+ */
+function pickItem(items, id, ordinal) {
+    const index = /^\d+$/.test(id) ? parseInt(id, 10) : NaN;
+    return items[Number.isInteger(index) && index < items.length ? index : ordinal] || null;
+}
+
+/**
+ * Replace googleusercontent placeholders in a candidate's text with Markdown
+ * Generated and web images become images, immersive entry chips become the generated
+ * file, card_content becomes the card text; placeholders without matching content are removed
+ *
+ * @param {Object} candidate - Parsed candidate (or response) with text and content arrays
+ * @param {string} text - Text to resolve, if not the candidate's own
+ * @returns {string} Markdown text
+ */
+export function resolvePlaceholders(candidate, text = candidate.text || '') {
+    const seen = {};
+
+    const resolved = text.replace(PLACEHOLDER_PATTERN, (placeholder, kind, id) => {
+        const ordinal = seen[kind] = (seen[kind] ?? -1) + 1;
+
+        switch (kind) {
+            case 'image_generation_content': {
+                const image = pickItem(candidate.generatedImages || [], id, ordinal);
+                return image ? markdownImage(image) : '';
+            }
+            case 'image_collection': {
+                // Web image ids are not indexes (image_retrieval/<id>_0), so use the order
+                const image = (candidate.webImages || [])[ordinal];
+                return image ? markdownImage(image) : '';
+            }
+            case 'immersive_entry_chip': {
+                // Files and cards are blocks, so they get lines of their own
+                const file = pickItem(candidate.fileAttachments || [], id, ordinal);
+                return file ? `\n\n${markdownFile(file)}\n\n` : '';
+            }
+            case 'card_content':
+                return candidate.cardContent ? `\n\n${candidate.cardContent}\n\n` : '';
+            default:
+                return '';
+        }
+    });
+
+    // Removed placeholders leave empty lines behind
+    return resolved.replace(/^[ \t]+|[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+const htmlRenderer = new Marked({
+    gfm: true,
+    renderer: {
+        // Raw HTML in the response is shown as text, never interpreted
+        html({ text }) {
+            return escapeHtml(text);
+        },
+        link({ href, title, tokens }) {
+            const text = this.parser.parseInline(tokens);
+            if (!SAFE_URL_PATTERN.test(href)) {
+                return text;
+            }
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<a href="${escapeHtml(href)}"${titleAttribute} rel="noopener noreferrer">${text}</a>`;
+        },
+        image({ href, title, text }) {
+            if (!SAFE_URL_PATTERN.test(href)) {
+                return escapeHtml(text);
+            }
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttribute}>`;
+        }
+    }
+});
+
+/**
+ * Render Markdown as HTML
+ * Raw HTML is escaped and only http(s) and mailto links and images are kept
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {string} Sanitized HTML
+ */
+export function markdownToHtml(markdown) {
+    return htmlRenderer.parse(markdown, { async: false }).trim();
+}
+
+/**
+ * Plain text of inline Markdown tokens
+ */
+function inlineText(tokens = []) {
+    return tokens.map(token => {
+        switch (token.type) {
+            case 'link': {
+                const text = inlineText(token.tokens);
+                return text && text !== token.href ? `${text} (${token.href})` : token.href;
+            }
+            case 'image':
+                return token.text ? `[${token.text}] ${token.href}` : token.href;
+            case 'br':
+                return '\n';
+            default:
+                return token.tokens ? inlineText(token.tokens) : (token.text ?? '');
+        }
+    }).join('');
+}
+
+/**
+ * Plain text of block Markdown tokens
+ */
+function blockText(tokens = []) {
+    return tokens.map(token => {
+        switch (token.type) {
+            case 'space':
+            case 'hr':
+                return '\n';
+            case 'code':
+                return `${token.text}\n\n`;
+            case 'heading':
+            case 'paragraph':
+                return `${inlineText(token.tokens)}\n\n`;
+            case 'text':
+                return token.tokens ? inlineText(token.tokens) : token.text;
+            case 'blockquote':
+                return blockText(token.tokens);
+            case 'list': {
+                const start = Number(token.start) || 1;
+                const items = token.items.map((item, index) =>
+                    `${token.ordered ? `${start + index}.` : '-'} ${blockText(item.tokens).trim()}`);
+                return `${items.join('\n')}\n\n`;
+            }
+            case 'table': {
+                const row = cells => cells.map(cell => inlineText(cell.tokens)).join(' | ');
+                return `${[row(token.header), ...token.rows.map(row)].join('\n')}\n\n`;
+            }
+            default:
+                return token.text ?? '';
+        }
+    }).join('');
+}
+
+/**
+ * Render Markdown as plain text (formatting markers removed, links shown as "text (url)")
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {string} Plain text
+ */
+export function markdownToText(markdown) {
+    return blockText(Lexer.lex(markdown, { gfm: true })).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Insert numbered footnote markers after the spans backed by sources
+ * Footnotes are numbered by first appearance; a marker that would fall inside a placeholder
+ * is moved after it
+ *
+ * @param {Object} candidate - Parsed candidate with text, sources and citations
+ * @param {string} style - 'markdown' for [^1] markers, 'plain' for [1]
+ * @returns {{text: string, notes: Array<number>}} Text with markers and the source index of each footnote
+ */
+export function insertFootnoteMarkers(candidate, style = 'markdown') {
+    const text = candidate.text || '';
+    const citations = (candidate.citations || [])
+        .filter(citation => citation.sourceIndexes.length > 0)
+        .sort((a, b) => a.end - b.end || a.start - b.start);
+
+    const placeholders = [...text.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => [match.index, match.index + match[0].length]);
+
+    const notes = [];
+    const markers = new Map(); // position -> footnote numbers
+    for (const citation of citations) {
+        let position = Math.min(citation.end, text.length);
+        const inside = placeholders.find(([start, end]) => position > start && position < end);
+        if (inside) {
+            position = inside[1];
+        }
+
+        const numbers = markers.get(position) || [];
+        for (const sourceIndex of citation.sourceIndexes) {
+            if (!notes.includes(sourceIndex)) {
+                notes.push(sourceIndex);
+            }
+            const number = notes.indexOf(sourceIndex) + 1;
+            if (!numbers.includes(number)) {
+                numbers.push(number);
+            }
+        }
+        markers.set(position, numbers);
+    }
+
+    let marked = text;
+    for (const position of [...markers.keys()].sort((a, b) => b - a)) {
+        const labels = markers.get(position).map(number => style === 'markdown' ? `[^${number}]` : `[${number}]`);
+        marked = marked.slice(0, position) + labels.join('') + marked.slice(position);
+    }
+
+    return { text: marked, notes };
+}
+
+/**
+ * Footnote definitions for the sources cited in the text
+ */
+function footnoteDefinitions(candidate, notes, style) {
+    if (notes.length === 0) {
+        return '';
+    }
+
+    const links = notes.map(sourceIndex => {
+        const source = candidate.sources[sourceIndex];
+        return source.url
+            ? `[${escapeMarkdownLabel(source.title || source.url)}](<${source.url}>)`
+            : escapeMarkdownLabel(source.title);
+    });
+
+    if (style === 'markdown') {
+        return links.map((link, index) => `[^${index + 1}]: ${link}`).join('\n');
+    }
+    return `Sources:\n\n${links.map((link, index) => `${index + 1}. ${link}`).join('\n')}`;
+}
+
+/**
+ * Throw if a format is not one of RENDER_FORMATS
+ */
+export function checkFormat(format) {
+    if (!RENDER_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Use one of: ${RENDER_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Render a candidate's text in a format
+ *
+ * @param {Object} candidate - Parsed candidate (or response)
+ * @param {string} format - One of RENDER_FORMATS
+ * @param {Object} options - { footnotes } to number the cited sources: [^1] footnotes in
+ *   Markdown, [1] markers and a source list in HTML and plain text (ignored for raw)
+ * @returns {string} Rendered text
+ */
+export function renderText(candidate, format = 'markdown', { footnotes = false } = {}) {
+    checkFormat(format);
+    if (format === 'raw') {
+        return candidate.text;
+    }
+
+    let markdown;
+    if (footnotes) {
+        const style = format === 'markdown' ? 'markdown' : 'plain';
+        const { text, notes } = insertFootnoteMarkers(candidate, style);
+        markdown = [resolvePlaceholders(candidate, text), footnoteDefinitions(candidate, notes, style)]
+            .filter(Boolean)
+            .join('\n\n');
+    } else {
+        markdown = resolvePlaceholders(candidate);
+    }
+
+    if (format === 'html') {
+        return markdownToHtml(markdown);
+    }
+    if (format === 'text') {
+        return markdownToText(markdown);
+    }
+    return markdown;
+}
+
+/**
+ * Render the text of every candidate of a parsed response in place
+ *
+ * Citation offsets keep indexing the raw text
+ *
+ * @param {Object} output - Output of parseResponse
+ * @param {string} format - One of RENDER_FORMATS
+ * @param {Object} options - Render options (see renderText)
+ * @returns {Object} The same output, with `text` rendered and `format` set
+ */
+export function renderOutput(output, format = 'markdown', options = {}) {
+    checkFormat(format);
+    if (format === 'raw') {
+        return output;
+    }
+
+    // The default response is usually the first candidate, but history turns default to the chosen one
+    const chosen = output.candidates.find(candidate => candidate.rcid === output.rcid) || output.candidates[0];
+    for (const candidate of output.candidates) {
+        candidate.text = renderText(candidate, format, options);
+    }
+    output.text = chosen.text;
+    output.format = format;
+
+    return output;
+}
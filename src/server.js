@@ -5,9 +5,42 @@
 
 import express from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import { GeminiClient } from './client.js';
+import fs from 'fs';
+import multer from 'multer';
+import {
+  GeminiClient,
+  ChatSession,
+  GeminiError,
+  AuthError,
+  UsageLimitError,
+  ModelInvalidError,
+  IPBlockedError,
+  TimeoutError,
+  NetworkError,
+  ParseError,
+  NotFoundError
+} from './client.js';
 import { Models } from './constants.js';
+import { modelRegistry, resolveModel } from './models.js';
+import { GeminiClientPool } from './pool.js';
+import { createSessionStore } from './sessionStore.js';
+import { ApiKeyManager, PermissionError } from './auth.js';
+import { CookieVault } from './vault.js';
+import { ClientCache } from './clientCache.js';
+import { createCredentialStore } from './credentialStore.js';
+import { CookieJar } from './cookieJar.js';
+import { ResponseParser } from './parser.js';
+import { RENDER_FORMATS } from './renderer.js';
+import {
+  messagesToPrompt,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIError,
+  createCompletionId,
+  parseBearerCookies
+} from './openai.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,382 +51,2439 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Gemini-Credential'],
+  exposedHeaders: ['Retry-After'],
   credentials: false
 }));
-app.use(express.json());
+app.use(express.json({ limit: '25mb' })); // Allow base64 file attachments
 
-// Global client instance (for default .env cookies)
-let geminiClient = null;
+// Multipart file attachments are kept in memory and forwarded to Gemini's upload endpoint
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20 MB per file
+    files: 10
+  }
+});
+
+// Model used when a request does not specify one
+const DEFAULT_MODEL = Models.GEMINI_2_5_FLASH;
+
+// Register additional models (e.g. new model headers) from a JSON config file
+if (process.env.MODELS_CONFIG) {
+  try {
+    const loaded = modelRegistry.load(process.env.MODELS_CONFIG);
+    console.log(`✓ Loaded ${loaded.length} model(s) from ${process.env.MODELS_CONFIG}`);
+  } catch (error) {
+    console.error('❌ Failed to load MODELS_CONFIG:', error.message);
+  }
+}
+
+// API keys (API_KEYS and/or API_KEYS_FILE); authentication is off when none are configured
+let apiKeys;
+try {
+  apiKeys = ApiKeyManager.load({
+    keys: process.env.API_KEYS,
+    file: process.env.API_KEYS_FILE,
+    defaults: {
+      rateLimit: {
+        requests: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60,
+        window: parseInt(process.env.API_KEY_RATE_WINDOW, 10) || 60 * 1000
+      },
+      maxConcurrent: parseInt(process.env.API_KEY_MAX_CONCURRENT, 10) || 4
+    }
+  });
+} catch (error) {
+  // Never fall back to an open server when keys were meant to be configured
+  console.error('❌ Failed to load API keys:', error.message);
+  process.exit(1);
+}
+
+if (apiKeys.enabled) {
+  console.log(`✓ API key authentication enabled (${apiKeys.keys.size} key(s))`);
+} else {
+  console.warn('⚠️  Warning: No API_KEYS configured, /api and /v1 routes are open to anyone who can reach the server');
+}
+
+app.use(['/api', '/v1'], apiKeys.middleware());
+
+// Cookie vault: users store their cookies once (POST /api/credentials) and send the returned token instead
+if (!process.env.VAULT_KEY) {
+  console.warn('⚠️  Warning: VAULT_KEY not set, stored credentials will not survive a restart');
+}
+const cookieVault = new CookieVault({
+  key: process.env.VAULT_KEY || crypto.randomBytes(32),
+  store: createSessionStore({
+    type: process.env.VAULT_STORE || 'memory',
+    path: process.env.VAULT_STORE_PATH || (process.env.VAULT_STORE === 'sqlite' ? 'data/credentials.db' : 'data/credentials.json')
+  })
+});
+
+// Retry policy for all clients (failed requests are retried with exponential backoff)
+const RETRY_OPTIONS = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 3
+};
+
+// Send Gemini requests somewhere other than Google, e.g. the mock backend (npm run mock)
+const GEMINI_BASE_URL = process.env.GEMINI_BASE_URL || null;
+if (GEMINI_BASE_URL) {
+  console.warn(`⚠️  Warning: GEMINI_BASE_URL is set, Gemini requests go to ${GEMINI_BASE_URL}`);
+}
+
+// Response schema override for every client, e.g. after Google moves a field (see parser.js)
+let responseParser;
+try {
+  responseParser = new ResponseParser({
+    schema: process.env.RESPONSE_SCHEMA_FILE
+      ? JSON.parse(fs.readFileSync(process.env.RESPONSE_SCHEMA_FILE, 'utf8'))
+      : null,
+    strict: process.env.RESPONSE_SCHEMA_STRICT === 'true'
+  });
+  if (process.env.RESPONSE_SCHEMA_FILE) {
+    console.log(`✓ Loaded response schema override from ${process.env.RESPONSE_SCHEMA_FILE}`);
+  }
+} catch (error) {
+  console.error('❌ Failed to load RESPONSE_SCHEMA_FILE:', error.message);
+  process.exit(1);
+}
+
+// Conversations on the default accounts are shared by every caller, so browsing them is opt-in
+const ALLOW_DEFAULT_ACCOUNT_HISTORY = process.env.ALLOW_DEFAULT_ACCOUNT_HISTORY === 'true';
+
+// Send every request as a temporary chat, kept out of the accounts' Gemini history
+const FORCE_TEMPORARY_CHATS = process.env.FORCE_TEMPORARY_CHATS === 'true';
+if (FORCE_TEMPORARY_CHATS) {
+  console.log('✓ FORCE_TEMPORARY_CHATS is set, conversations are not saved to the accounts\' Gemini history');
+}
+
+// Rotated cookies and access tokens shared by all clients (CREDENTIAL_STORE=file|memory)
+const credentialStore = createCredentialStore({
+  type: process.env.CREDENTIAL_STORE || 'file',
+  path: process.env.CREDENTIAL_STORE_PATH
+});
+
+// Initialized clients for custom cookies and vault credentials, reused across requests
+const clientCache = new ClientCache({
+  credentialStore,
+  endpoints: GEMINI_BASE_URL,
+  parser: responseParser,
+  temporary: FORCE_TEMPORARY_CHATS,
+  idleTimeout: parseInt(process.env.USER_CLIENT_IDLE_TIMEOUT, 10) || 10 * 60 * 1000, // 10 minutes
+  maxClients: parseInt(process.env.MAX_USER_CLIENTS, 10) || 100,
+  initOptions: {
+    timeout: 300000,
+    autoRefresh: true, // Cached clients live long enough to need cookie rotation
+    verbose: false,
+    retry: RETRY_OPTIONS
+  }
+});
+
+// Share pages are public: read them without cookies, so no account or init() is needed
+const shareClient = new GeminiClient(null, null, null, {
+  credentialStore,
+  endpoints: GEMINI_BASE_URL,
+  parser: responseParser
+});
+
+// Global client pool (for default .env accounts)
+let clientPool = null;
+
+/**
+ * Load an account's cookies from a browser export (cookies.txt, extension JSON or HAR)
+ * @param {string} file - Path to the cookie file
+ * @returns {Object} { secure1PSID, secure1PSIDTS, cookies } or {} if the file has no __Secure-1PSID
+ */
+function readCookieFile(file) {
+  const jar = CookieJar.parse(fs.readFileSync(file, 'utf8'));
+  if (!jar.get('__Secure-1PSID')) {
+    console.error(`❌ ${file} does not contain a __Secure-1PSID cookie`);
+    return {};
+  }
+  return {
+    secure1PSID: jar.get('__Secure-1PSID'),
+    secure1PSIDTS: jar.get('__Secure-1PSIDTS'),
+    cookies: jar
+  };
+}
+
+/**
+ * Read the default accounts from environment variables
+ * SECURE_1PSID/SECURE_1PSIDTS (or GEMINI_COOKIES_FILE) is the primary account; GEMINI_ACCOUNTS
+ * may add more as a JSON array:
+ * [{ "id": "backup", "secure1PSID": "...", "secure1PSIDTS": "...", "proxy": "..." }, { "id": "work", "cookiesFile": "..." }]
+ * @returns {Array<Object>} Account definitions
+ */
+function getEnvAccounts() {
+  const accounts = [];
+
+  if (process.env.GEMINI_COOKIES_FILE) {
+    try {
+      const account = readCookieFile(process.env.GEMINI_COOKIES_FILE);
+      if (account.secure1PSID) {
+        accounts.push({ id: 'default', ...account });
+      }
+    } catch (error) {
+      console.error('❌ Failed to read GEMINI_COOKIES_FILE:', error.message);
+    }
+  } else if (process.env.SECURE_1PSID) {
+    accounts.push({
+      id: 'default',
+      secure1PSID: process.env.SECURE_1PSID,
+      secure1PSIDTS: process.env.SECURE_1PSIDTS
+    });
+  }
+
+  if (process.env.GEMINI_ACCOUNTS) {
+    try {
+      const extraAccounts = JSON.parse(process.env.GEMINI_ACCOUNTS);
+      for (const account of extraAccounts) {
+        const cookies = account.cookiesFile ? readCookieFile(account.cookiesFile) : normalizeCookies(account);
+        if (cookies && cookies.secure1PSID) {
+          accounts.push({ id: account.id, proxy: account.proxy, ...cookies });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to parse GEMINI_ACCOUNTS:', error.message);
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Initialize the Gemini client pool from environment variables
+ */
+async function initializeClient() {
+  const accounts = getEnvAccounts();
+
+  if (accounts.length === 0) {
+    console.warn('⚠️  Warning: SECURE_1PSID not found in environment variables');
+    console.warn('Server will run in multi-user mode only (cookies required in payload)');
+    return;
+  }
+
+  try {
+    const pool = new GeminiClientPool(accounts, {
+      strategy: process.env.POOL_STRATEGY || 'round-robin',
+      credentialStore,
+      endpoints: GEMINI_BASE_URL,
+      parser: responseParser,
+      temporary: FORCE_TEMPORARY_CHATS
+    });
+
+    const ready = await pool.init({
+      timeout: 300000,
+      autoRefresh: true,
+      refreshInterval: 60000, // 1 minute
+      verbose: true,
+      retry: RETRY_OPTIONS
+    });
+
+    if (ready === 0) {
+      await pool.close();
+      throw new Error('No account could be initialized');
+    }
+
+    clientPool = pool;
+    console.log(`✓ Global Gemini client pool initialized successfully (${ready}/${accounts.length} accounts)`);
+  } catch (error) {
+    console.error('❌ Failed to initialize global client:', error.message);
+    console.warn('Server will run in multi-user mode only (cookies required in payload)');
+    clientPool = null; // Reset to null on failure
+  }
+}
+
+/**
+ * Normalize cookie keys to lowercase (handle both SECURE_1PSID and secure1PSID)
+ * @param {Object} cookies - Cookies object
+ * @returns {Object} Normalized cookies
+ */
+function normalizeCookies(cookies) {
+  if (!cookies) return null;
+
+  // Multipart requests send cookies as a JSON string field
+  if (typeof cookies === 'string') {
+    try {
+      cookies = JSON.parse(cookies);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  const normalized = {};
+  for (const [key, value] of Object.entries(cookies)) {
+    const lowerKey = key.toLowerCase().replace(/_/g, '').replace('secure', 'secure');
+    if (lowerKey.includes('secure1psid') && !lowerKey.includes('ts')) {
+      normalized.secure1PSID = value;
+    } else if (lowerKey.includes('secure1psidts')) {
+      normalized.secure1PSIDTS = value;
+    }
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Get the cached client for a vault credential, creating it on first use
+ * The client keeps __Secure-1PSIDTS rotated and writes the new cookies back to the vault
+ * @param {string} token - Credential token
+ * @param {Object} apiKey - Caller's API key entry
+ * @returns {Promise<{client: GeminiClient, release: Function}>}
+ */
+async function getCredentialClient(token, apiKey = null) {
+  const { id, cookies } = await cookieVault.resolve(token, { apiKeyId: apiKey ? apiKey.id : null });
+
+  return await clientCache.acquire(cookies, {
+    key: `credential_${id}`,
+    initOptions: {
+      onCookiesUpdate: (updated) => cookieVault.update(token, {
+        secure1PSID: updated['__Secure-1PSID'],
+        secure1PSIDTS: updated['__Secure-1PSIDTS']
+      })
+    }
+  });
+}
+
+/**
+ * Close and forget the client of a revoked credential
+ * @param {string} credentialId - Credential id
+ */
+async function closeCredentialClient(credentialId) {
+  await clientCache.evict(`credential_${credentialId}`);
+}
+
+/**
+ * Read the caller's Google credentials from a request
+ * @param {Object} req - Express request
+ * @returns {{cookies: Object|null, credential: string|null, apiKey: Object|null}}
+ */
+function getRequestAuth(req) {
+  return {
+    cookies: req.body?.cookies || null,
+    credential: req.get('x-gemini-credential') || req.body?.credential || null,
+    apiKey: req.apiKey || null
+  };
+}
+
+/**
+ * Get client instance - from a vault credential, custom cookies or the global account pool
+ * The pool exposes the same generateContent/generateContentStream/startChat methods as a client.
+ * User clients come from the client cache; call release() once the client is no longer needed.
+ * @param {Object} auth - Caller credentials (see getRequestAuth)
+ * @param {Object} auth.cookies - Optional custom cookies { secure1PSID, secure1PSIDTS } or { SECURE_1PSID, SECURE_1PSIDTS }
+ * @param {string} auth.credential - Optional credential token from POST /api/credentials, instead of cookies
+ * @param {Object} auth.apiKey - Caller's API key entry (req.apiKey), checked before using the global pool
+ * @returns {Promise<{client: GeminiClient|GeminiClientPool, isUserClient: boolean, release: Function}>}
+ */
+async function getClientInstance({ cookies = null, credential = null, apiKey = null } = {}) {
+  if (credential) {
+    const { client, release } = await getCredentialClient(credential, apiKey);
+    return { client, isUserClient: true, release };
+  }
+
+  // Normalize cookie keys to handle both uppercase and lowercase
+  const normalizedCookies = normalizeCookies(cookies);
+  
+  if (normalizedCookies && normalizedCookies.secure1PSID) {
+    // Reuse (or create) the client for the user's cookies
+    const { client, release } = await clientCache.acquire(normalizedCookies);
+    return { client, isUserClient: true, release };
+  }
+
+  apiKeys.checkEnvCookies(apiKey);
+  
+  // Lazy initialization for global client (important for serverless)
+  if (!clientPool) {
+    if (getEnvAccounts().length === 0) {
+      throw new Error('No cookies provided. Please include cookies in request payload: { "cookies": { "secure1PSID": "your-cookie-here", "secure1PSIDTS": "your-cookie-here" } }');
+    }
+    
+    console.log('[Lazy Init] Initializing global client...');
+    await initializeClient();
+    
+    if (!clientPool) {
+      throw new Error('Failed to initialize global client. Please provide valid cookies in request payload.');
+    }
+  }
+  
+  return { client: clientPool, isUserClient: false, release: () => {} };
+}
+
+// HTTP status and label for each typed client error
+const ERROR_STATUSES = [
+  { type: AuthError, status: 401, label: 'Unauthorized' },
+  { type: PermissionError, status: 403, label: 'Forbidden' },
+  { type: NotFoundError, status: 404, label: 'Not Found' },
+  { type: UsageLimitError, status: 429, label: 'Too Many Requests' },
+  { type: ModelInvalidError, status: 400, label: 'Bad Request' },
+  { type: IPBlockedError, status: 503, label: 'Service Unavailable' },
+  { type: TimeoutError, status: 504, label: 'Gateway Timeout' },
+  { type: NetworkError, status: 502, label: 'Bad Gateway' },
+  { type: ParseError, status: 502, label: 'Bad Gateway' }
+];
+
+/**
+ * Map an error to its HTTP status and JSON body
+ * @param {Error} error - Error raised while handling a request
+ * @returns {{status: number, body: Object}} Status code and response body with a machine-readable `code`
+ */
+function getErrorResponse(error) {
+  const match = ERROR_STATUSES.find(({ type }) => error instanceof type);
+  const status = match ? match.status : 500;
+
+  const body = {
+    error: match ? match.label : 'Internal Server Error',
+    message: error.message,
+    code: error instanceof GeminiError ? error.code : 'INTERNAL_ERROR'
+  };
+  if (error instanceof GeminiError && error.errorCode !== null) {
+    body.errorCode = error.errorCode;
+  }
+  if (error instanceof ParseError && error.diagnostics) {
+    body.diagnostics = error.diagnostics;
+  }
+
+  return { status, body };
+}
+
+/**
+ * Send an error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while handling a request
+ */
+function sendError(res, error) {
+  const { status, body } = getErrorResponse(error);
+  setRetryAfter(res, error);
+  res.status(status).json(body);
+}
+
+/**
+ * Set the Retry-After header for errors that know when to retry (rate limits, cooling accounts)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while handling a request
+ */
+function setRetryAfter(res, error) {
+  if (error.retryAt) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+  }
+}
+
+// Standard or URL-safe base64 with optional padding
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * Collect file attachments from a request
+ * Supports multipart/form-data uploads (field "files") and base64 entries in a JSON body:
+ * [{ "fileName": "photo.png", "data": "<base64 or data URL>" }]
+ * @param {Object} req - Express request
+ * @returns {Array<{data: Buffer, fileName: string}>|null} Attachments to forward to Gemini,
+ *   or null if the JSON "files" field is malformed
+ */
+function getAttachments(req) {
+  const attachments = [];
+
+  if (Array.isArray(req.files)) {
+    for (const file of req.files) {
+      attachments.push({ data: file.buffer, fileName: file.originalname || 'file' });
+    }
+  }
+
+  const bodyFiles = req.body?.files;
+  if (bodyFiles === undefined) {
+    return attachments;
+  }
+  if (!Array.isArray(bodyFiles)) {
+    return null;
+  }
+
+  for (const file of bodyFiles) {
+    if (!file || typeof file.data !== 'string') {
+      return null;
+    }
+    const base64 = file.data.replace(/^data:[^;]*;base64,/, '').replace(/\s+/g, '');
+    if (!BASE64_PATTERN.test(base64)) {
+      return null;
+    }
+    attachments.push({
+      data: Buffer.from(base64, 'base64'),
+      fileName: file.fileName || file.name || 'file'
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Send the 400 response for a malformed "files" field
+ * @param {Object} res - Express response
+ */
+function sendInvalidFiles(res) {
+  sendBadRequest(res, 'files must be an array of { fileName, data } with base64 data', 'INVALID_FILES');
+}
+
+/**
+ * Shape a parsed Gemini response into the data object returned by the API
+ * @param {Object} response - Output of generateContent
+ * @returns {Object} Response data
+ */
+function formatResponseData(response) {
+  return {
+    text: response.text,
+    thoughts: response.thoughts || null,
+    images: response.images || [],
+    webImages: response.webImages || [],
+    generatedImages: response.generatedImages || [],
+    fileAttachments: response.fileAttachments || [],
+    codeBlocks: response.codeBlocks || [],
+    codeExecutionResult: response.codeExecutionResult || null,
+    sources: response.sources || [],
+    citations: response.citations || [],
+    factuality: response.factuality || null,
+    candidates: response.candidates.length,
+    format: response.format || 'raw',
+    // True when the conversation was not saved to the account's Gemini history
+    temporary: Boolean(response.temporary),
+    // Only present when the request asked for debug output
+    ...(response.diagnostics ? { diagnostics: response.diagnostics } : {})
+  };
+}
+
+/**
+ * Read a request option from the body (JSON or form data), falling back to the query string for GET routes
+ * @param {Object} req - Express request
+ * @param {string} name - Option name
+ * @returns {*} Option value or undefined
+ */
+function getRequestOption(req, name) {
+  return req.body?.[name] ?? req.query?.[name];
+}
+
+/**
+ * Whether a request asked for parser diagnostics ("debug": true, or "true" in form data or the query string)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isDebugRequest(req) {
+  const debug = getRequestOption(req, 'debug');
+  return debug === true || debug === 'true';
+}
+
+/**
+ * Whether a request asked for numbered source footnotes ("footnotes": true, or "true" in form data or the query string)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsFootnotes(req) {
+  const footnotes = getRequestOption(req, 'footnotes');
+  return footnotes === true || footnotes === 'true';
+}
+
+/**
+ * Whether a request asked for a temporary chat ("temporary": true, or "true" in form data)
+ * FORCE_TEMPORARY_CHATS makes every request temporary regardless
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsTemporary(req) {
+  const temporary = getRequestOption(req, 'temporary');
+  return temporary === true || temporary === 'true';
+}
+
+/**
+ * Gem and system instruction options of a generate or chat start body
+ * @param {Object} req - Express request
+ * @returns {Object|null} { gem, systemInstruction } (undefined when not given), or null if either is not a string
+ */
+function getInstructionOptions(req) {
+  const { gem, systemInstruction } = req.body || {};
+  if ([gem, systemInstruction].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+    return null;
+  }
+  return { gem: gem || undefined, systemInstruction: systemInstruction || undefined };
+}
+
+/**
+ * Send a 400 response for a request that failed validation
+ * @param {Object} res - Express response
+ * @param {string} message - What is wrong with the request
+ * @param {string} code - Machine-readable code (e.g. INVALID_PROMPT)
+ */
+function sendBadRequest(res, message, code) {
+  res.status(400).json({ error: 'Bad Request', message, code });
+}
+
+/**
+ * Send the 400 response for a gem or systemInstruction that is not a string
+ * @param {Object} res - Express response
+ */
+function sendInvalidInstructions(res) {
+  sendBadRequest(res, 'gem and systemInstruction must be strings', 'INVALID_INSTRUCTIONS');
+}
+
+/**
+ * Text format requested with "format" (raw when omitted, markdown when only footnotes are requested)
+ * @param {Object} req - Express request
+ * @returns {string|null} One of RENDER_FORMATS, or null if the value is not supported
+ */
+function getRenderFormat(req) {
+  const format = getRequestOption(req, 'format') || (wantsFootnotes(req) ? 'markdown' : 'raw');
+  return RENDER_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Send the 400 response for an unsupported "format"
+ * @param {Object} res - Express response
+ */
+function sendInvalidFormat(res) {
+  sendBadRequest(res, `format must be one of: ${RENDER_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+}
+
+/**
+ * Relay a generateContentStream iterator to the client as Server-Sent Events
+ *
+ * Emits `delta` events for partial text/thoughts, a final `done` event with the
+ * same payload as the non-streaming route, or an `error` event on failure.
+ * Failures before the first event are returned as a regular JSON error response.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} createStream - Receives an AbortSignal and returns the stream iterator
+ * @param {Object} extraData - Fields merged into the final `done` payload
+ */
+async function streamResponse(req, res, createStream, extraData = {}) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  // Headers are sent with the first event so errors raised before any output
+  // (e.g. usage limits) still get a proper HTTP status
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    for await (const event of createStream(controller.signal)) {
+      if (event.type === 'delta') {
+        sendEvent('delta', {
+          text: event.text,
+          thoughts: event.thoughts
+        });
+      } else if (event.type === 'done') {
+        sendEvent('done', {
+          success: true,
+          data: {
+            ...extraData,
+            ...formatResponseData(event.response)
+          }
+        });
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error(`Error in ${req.path}:`, error.message);
+      if (res.headersSent) {
+        sendEvent('error', getErrorResponse(error).body);
+      } else {
+        sendError(res, error);
+      }
+    }
+  } finally {
+    if (!res.writableEnded) {
+      res.end();
+    }
+  }
+}
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'Gemini API Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/generate
+ * Generate content from a single prompt
+ * 
+ * Body:
+ * {
+ *   "prompt": "Your prompt here",
+ *   "model": "gemini-2.0-flash-exp" (optional),
+ *   "files": [{ "fileName": "a.png", "data": "<base64>" }] (optional),
+ *   "debug": true (optional - include response parser diagnostics as "diagnostics"),
+ *   "format": "markdown" (optional - raw, markdown, html or text; placeholders resolved unless raw),
+ *   "footnotes": true (optional - number cited sources in the text; markdown unless a format is given),
+ *   "temporary": true (optional - temporary chat, not saved to the account's Gemini history),
+ *   "gem": "1a2b3c" (optional - gem id from GET /api/gems whose instructions the reply follows),
+ *   "systemInstruction": "..." (optional - instructions sent inline ahead of the prompt, for accounts without gems;
+ *                               saved in the Gemini history as part of the message),
+ *   "accountId": "account_1" (optional - default account that owns the gem, see GET /api/gems),
+ *   "cookies": {                         (optional - for multi-user support)
+ *     "secure1PSID": "your_cookie",
+ *     "secure1PSIDTS": "your_cookie"
+ *   },
+ *   "credential": "cred_..."             (optional - token from POST /api/credentials, instead of cookies)
+ * }
+ *
+ * Also accepts multipart/form-data with the same fields and attachments under "files"
+ */
+app.post('/api/generate', upload.array('files'), async (req, res) => {
+  let release = null;
+  
+  try {
+    const { prompt, model } = req.body;
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return sendBadRequest(res, 'prompt is required and must be a non-empty string', 'INVALID_PROMPT');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const instructions = getInstructionOptions(req);
+    if (!instructions) {
+      return sendInvalidInstructions(res);
+    }
+
+    // Resolve the model before creating a client so unknown names fail fast
+    const selectedModel = resolveModel(model || DEFAULT_MODEL);
+    apiKeys.checkModel(req.apiKey, selectedModel);
+
+    // Get client instance (custom or global)
+    const instance = await getClientInstance(getRequestAuth(req));
+    const { client } = instance;
+    release = instance.release;
+
+    const response = await client.generateContent(prompt, {
+      model: selectedModel,
+      files,
+      debug: isDebugRequest(req),
+      format,
+      footnotes: wantsFootnotes(req),
+      temporary: wantsTemporary(req),
+      ...instructions,
+      accountId: req.body.accountId || undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatResponseData(response),
+        model: selectedModel.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/generate:', error.message);
+    sendError(res, error);
+  } finally {
+    // Return the user client to the cache
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * POST /api/generate/stream
+ * Generate content from a single prompt, streamed as Server-Sent Events
+ *
+ * Body: same as /api/generate
+ *
+ * Events:
+ *   delta - { "text": "new text", "thoughts": "new thoughts" | null }
+ *   done  - same payload as /api/generate
+ *   error - { "error": "...", "message": "..." }
+ */
+app.post('/api/generate/stream', upload.array('files'), async (req, res) => {
+  let release = null;
+
+  try {
+    const { prompt, model } = req.body;
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return sendBadRequest(res, 'prompt is required and must be a non-empty string', 'INVALID_PROMPT');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const instructions = getInstructionOptions(req);
+    if (!instructions) {
+      return sendInvalidInstructions(res);
+    }
+
+    // Resolve the model before creating a client so unknown names fail fast
+    const selectedModel = resolveModel(model || DEFAULT_MODEL);
+    apiKeys.checkModel(req.apiKey, selectedModel);
+
+    // Get client instance (custom or global)
+    const instance = await getClientInstance(getRequestAuth(req));
+    const { client } = instance;
+    release = instance.release;
+
+    await streamResponse(req, res, (signal) => client.generateContentStream(prompt, {
+      model: selectedModel,
+      files,
+      signal,
+      debug: isDebugRequest(req),
+      format,
+      footnotes: wantsFootnotes(req),
+      temporary: wantsTemporary(req),
+      ...instructions,
+      accountId: req.body.accountId || undefined
+    }), {
+      model: selectedModel.name
+    });
+
+  } catch (error) {
+    console.error('Error in /api/generate/stream:', error.message);
+    sendError(res, error);
+  } finally {
+    // Return the user client to the cache
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * POST /api/chat/start
+ * Start a new chat session, or resume a Google conversation (e.g. one started in the browser)
+ * 
+ * Body:
+ * {
+ *   "model": "gemini-2.0-flash-exp" (optional),
+ *   "cid": "c_..." (optional - conversation to continue, from GET /api/conversations; its turns
+ *                   become the session's turns, see GET /api/chat/:chatId/branches),
+ *   "accountId": "account_1" (optional - default account that owns the conversation),
+ *   "temporary": true (optional - temporary chat, not saved to the account's Gemini history;
+ *                      cannot be combined with cid),
+ *   "gem": "1a2b3c" (optional - gem id from GET /api/gems that every message goes through;
+ *                    with the default accounts, pass the gem's accountId),
+ *   "systemInstruction": "..." (optional - instructions sent inline ahead of the first message only;
+ *                               the session's turns keep the message alone),
+ *   "cookies": {                         (optional - for multi-user support)
+ *     "secure1PSID": "your_cookie",
+ *     "secure1PSIDTS": "your_cookie"
+ *   },
+ *   "credential": "cred_..."             (optional - token from POST /api/credentials, instead of cookies)
+ * }
+ * 
+ * Returns: { chatId: string }
+ */
+
+// Serialized sessions (SESSION_STORE=memory|file|sqlite) survive restarts and cold starts;
+// chatSessions caches the live chat objects built from them in this process
+const sessionStore = createSessionStore({
+  type: process.env.SESSION_STORE || 'memory',
+  path: process.env.SESSION_STORE_PATH || (process.env.VERCEL ? '/tmp/chat-sessions.json' : undefined)
+});
+const chatSessions = new Map(); // { chatId: { chat, release, isUserClient, owner, apiKeyId, createdAt, lastActivity } }
+
+// Session lifecycle limits
+const SESSION_LIMITS = {
+  idleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT, 10) || 30 * 60 * 1000, // 30 minutes without messages
+  ttl: parseInt(process.env.SESSION_TTL, 10) || 24 * 60 * 60 * 1000, // 24 hours after creation
+  maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || 1000,
+  maxSessionsPerOwner: parseInt(process.env.MAX_SESSIONS_PER_OWNER, 10) || 20,
+  sweepInterval: parseInt(process.env.SESSION_SWEEP_INTERVAL, 10) || 60 * 1000 // 1 minute
+};
+
+// Also delete the Google conversation when a session expires or is evicted, so it does not
+// stay in the account's Gemini history
+const SESSION_DELETE_REMOTE = process.env.SESSION_DELETE_REMOTE === 'true';
+
+/**
+ * Identify who a session belongs to for per-owner limits
+ * Custom-cookie and credential sessions are grouped by a hash of __Secure-1PSID or the
+ * credential token, never the raw value; sessions on the default accounts are grouped by API key
+ * @param {Object} auth - Caller credentials (see getRequestAuth)
+ * @returns {string} Owner id
+ */
+function getSessionOwner({ cookies = null, credential = null, apiKey = null } = {}) {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+  if (credential) {
+    return `credential_${hash(credential)}`;
+  }
+
+  const normalizedCookies = normalizeCookies(cookies);
+  if (!normalizedCookies || !normalizedCookies.secure1PSID) {
+    return apiKey ? `key_${apiKey.id}` : 'default';
+  }
+  return `cookie_${hash(normalizedCookies.secure1PSID)}`;
+}
+
+/**
+ * Time at which a stored session expires (idle timeout or absolute TTL, whichever comes first)
+ * @param {Object} record - Session store record
+ * @returns {number} Expiry timestamp in milliseconds
+ */
+function getSessionExpiry(record) {
+  const lastActivity = record.lastActivity || record.updatedAt || record.createdAt;
+  return Math.min(lastActivity + SESSION_LIMITS.idleTimeout, record.createdAt + SESSION_LIMITS.ttl);
+}
+
+/**
+ * Persist a chat session's current state to the session store
+ * Cookies are never stored; sessions started with custom cookies need them on every request
+ * @param {string} chatId - Chat session id
+ * @param {Object} sessionData - Live session { chat, isUserClient, owner, createdAt }
+ */
+async function saveChatSession(chatId, sessionData) {
+  sessionData.lastActivity = Date.now();
+  await sessionStore.set(chatId, {
+    chat: sessionData.chat.toJSON(),
+    accountId: sessionData.chat.geminiClient.accountId || null,
+    usesCustomCookies: sessionData.isUserClient,
+    owner: sessionData.owner,
+    apiKeyId: sessionData.apiKeyId || null,
+    createdAt: sessionData.createdAt,
+    lastActivity: sessionData.lastActivity
+  });
+}
+
+/**
+ * End a chat session: drop it from the store and return its client to the cache
+ * @param {string} chatId - Chat session id
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+async function endChatSession(chatId) {
+  const sessionData = chatSessions.get(chatId);
+  chatSessions.delete(chatId);
+  const deleted = await sessionStore.delete(chatId);
+
+  if (sessionData) {
+    sessionData.release();
+  }
+
+  return Boolean(sessionData) || deleted;
+}
+
+/**
+ * Delete the Google conversations of a stored session (see ChatSession.deleteConversations)
+ * Sessions on custom cookies can only be cleaned up while their client is live in this process
+ * @param {string} chatId - Chat session id
+ * @returns {Promise<Array<string>>} Ids of the deleted conversations
+ */
+async function deleteSessionConversations(chatId) {
+  const record = await sessionStore.get(chatId);
+  const live = chatSessions.get(chatId);
+  if (live) {
+    if (record) {
+      live.chat.restore(record.chat);
+    }
+    return await live.chat.deleteConversations();
+  }
+
+  if (!record) {
+    return [];
+  }
+  if (record.usesCustomCookies) {
+    console.warn(`[Sessions] Cannot delete the conversation of ${chatId}: its cookies are not available`);
+    return [];
+  }
+
+  const { client, release } = await getClientInstance();
+  try {
+    const chat = ChatSession.fromJSON(client, record.chat, { accountId: record.accountId || undefined });
+    return await chat.deleteConversations();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * End a session that expired or was evicted, deleting its conversations first if
+ * SESSION_DELETE_REMOTE is set (a failed delete is logged and the session still ends)
+ * @param {string} chatId - Chat session id
+ */
+async function expireChatSession(chatId) {
+  if (SESSION_DELETE_REMOTE) {
+    try {
+      const cids = await deleteSessionConversations(chatId);
+      if (cids.length > 0) {
+        console.log(`[Sessions] Deleted conversation(s) ${cids.join(', ')} of ${chatId}`);
+      }
+    } catch (error) {
+      console.error(`[Sessions] Failed to delete the conversation of ${chatId}:`, error.message);
+    }
+  }
+
+  await endChatSession(chatId);
+}
+
+/**
+ * Evict least recently used sessions so a new session for `owner` fits within the limits
+ * @param {string} owner - Owner of the session about to be created
+ */
+async function enforceSessionLimits(owner) {
+  const sessions = (await sessionStore.list())
+    .sort((a, b) => (a.lastActivity || a.createdAt) - (b.lastActivity || b.createdAt));
+
+  const ownerSessions = sessions.filter(session => session.owner === owner);
+  const evicted = new Set();
+
+  for (const session of ownerSessions.slice(0, Math.max(0, ownerSessions.length - SESSION_LIMITS.maxSessionsPerOwner + 1))) {
+    evicted.add(session.chatId);
+  }
+
+  const remaining = sessions.filter(session => !evicted.has(session.chatId));
+  for (const session of remaining.slice(0, Math.max(0, remaining.length - SESSION_LIMITS.maxSessions + 1))) {
+    evicted.add(session.chatId);
+  }
+
+  for (const chatId of evicted) {
+    await expireChatSession(chatId);
+    console.log(`[Sessions] Evicted least recently used session ${chatId}`);
+  }
+}
+
+/**
+ * Remove expired sessions from the store and close clients of sessions that no longer exist
+ */
+async function sweepSessions() {
+  const now = Date.now();
+  const sessions = await sessionStore.list();
+  const stored = new Set();
+
+  for (const session of sessions) {
+    if (getSessionExpiry(session) <= now) {
+      await expireChatSession(session.chatId);
+      console.log(`[Sessions] Expired session ${session.chatId}`);
+    } else {
+      stored.add(session.chatId);
+    }
+  }
+
+  // Sessions ended by another instance (skip recently active ones, which may still be saving)
+  for (const [chatId, sessionData] of chatSessions.entries()) {
+    if (!stored.has(chatId) && now - (sessionData.lastActivity || sessionData.createdAt) > SESSION_LIMITS.idleTimeout) {
+      await endChatSession(chatId);
+    }
+  }
+}
+
+// Background sweeper (on serverless platforms expiry is also checked on every access)
+const sessionSweeper = setInterval(() => {
+  sweepSessions().catch(error => console.error('[Sessions] Sweep failed:', error.message));
+}, SESSION_LIMITS.sweepInterval);
+sessionSweeper.unref();
+
+/**
+ * Whether a stored session belongs to the caller's API key
+ * @param {Object} record - Session store record
+ * @param {Object} apiKey - Caller's API key entry (null when authentication is off)
+ * @returns {boolean}
+ */
+function isSessionOwnedBy(record, apiKey) {
+  return (record.apiKeyId || null) === (apiKey ? apiKey.id : null);
+}
+
+/**
+ * Get a live chat session, restoring it from the session store if this process has not seen it
+ * Expired sessions are ended; sessions of other API keys are reported as missing
+ * @param {string} chatId - Chat session id
+ * @param {Object} auth - Caller credentials (see getRequestAuth); custom-cookie sessions require
+ *                        the cookies or credential they were started with on every request
+ * @returns {Promise<Object|null>} Live session { chat, client, isUserClient, owner, apiKeyId, createdAt, lastActivity } or null
+ */
+async function getChatSession(chatId, auth = {}) {
+  const { cookies = null, credential = null, apiKey = null } = auth;
+  const record = await sessionStore.get(chatId);
+  if (!record) {
+    await endChatSession(chatId);
+    return null;
+  }
+  if (getSessionExpiry(record) <= Date.now()) {
+    await expireChatSession(chatId);
+    return null;
+  }
+  if (!isSessionOwnedBy(record, apiKey)) {
+    return null;
+  }
+
+  // Custom-cookie sessions only serve callers with the cookies or credential they were started with
+  if (record.usesCustomCookies && getSessionOwner(auth) !== record.owner) {
+    throw new AuthError('This chat was started with custom cookies. Include the same cookies or credential in the request to use it.');
+  }
+
+  const live = chatSessions.get(chatId);
+  if (live && (!live.isUserClient || live.chat.geminiClient.running)) {
+    // Another instance may have continued the conversation
+    live.chat.restore(record.chat);
+    return live;
+  }
+  if (live) {
+    // The session's user client was closed (e.g. evicted from the cache); rebuild it on a new one
+    chatSessions.delete(chatId);
+    live.release();
+  }
+
+  const { client, isUserClient, release } = await getClientInstance(
+    record.usesCustomCookies ? { cookies, credential, apiKey } : { apiKey }
+  );
+
+  let chat;
+  try {
+    chat = ChatSession.fromJSON(client, record.chat, { accountId: record.accountId || undefined });
+  } catch (error) {
+    release();
+    if (error instanceof NotFoundError && error.code === 'ACCOUNT_NOT_FOUND') {
+      throw new NotFoundError(`Account "${record.accountId}" that owns this chat is no longer configured`, { code: 'ACCOUNT_UNAVAILABLE' });
+    }
+    throw error;
+  }
+
+  const sessionData = {
+    chat,
+    release, // The session holds on to its cached client until it ends
+    isUserClient,
+    owner: record.owner,
+    apiKeyId: record.apiKeyId,
+    createdAt: record.createdAt,
+    lastActivity: record.lastActivity
+  };
+  chatSessions.set(chatId, sessionData);
+  return sessionData;
+}
+
+app.post('/api/chat/start', async (req, res) => {
+  try {
+    const { model, cid, accountId } = req.body;
+    const auth = getRequestAuth(req);
+    const temporary = wantsTemporary(req);
+
+    // A resumed conversation is already in the history
+    if (cid && temporary) {
+      return sendBadRequest(res, 'A saved conversation (cid) cannot be resumed as a temporary chat', 'TEMPORARY_RESUME');
+    }
+
+    const instructions = getInstructionOptions(req);
+    if (!instructions) {
+      return sendInvalidInstructions(res);
+    }
+
+    // Resolve the model before creating a client so unknown names fail fast
+    const selectedModel = resolveModel(model || DEFAULT_MODEL);
+    apiKeys.checkModel(req.apiKey, selectedModel);
+
+    // Get client instance (vault credential, custom or global)
+    const { client, isUserClient, release } = cid ? await getConversationClient(auth) : await getClientInstance(auth);
+
+    let chat;
+    try {
+      chat = cid
+        ? await client.resumeChat(cid, { model: selectedModel, accountId: accountId || undefined, gem: instructions.gem })
+        : client.startChat({ model: selectedModel, temporary, ...instructions, accountId: accountId || undefined });
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    if (cid && chat.turns.length === 0) {
+      release();
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found'
+      });
+    }
+
+    // Make room for the new session only once it exists, so a failed start evicts nothing
+    const owner = getSessionOwner(auth);
+    try {
+      await enforceSessionLimits(owner);
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Store chat session with client reference
+    const sessionData = {
+      chat,
+      release, // The session holds on to its cached client until it ends
+      isUserClient,
+      owner,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      createdAt: Date.now()
+    };
+    chatSessions.set(chatId, sessionData);
+    await saveChatSession(chatId, sessionData);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        model: selectedModel.name,
+        message: cid ? 'Chat session resumed' : 'Chat session started',
+        ...(cid ? { cid, turnId: chat.currentTurnId, turns: chat.turns.length } : {}),
+        temporary: chat.temporary,
+        gem: chat.gem,
+        usingCustomCookies: sessionData.isUserClient,
+        expiresAt: new Date(getSessionExpiry({ createdAt: sessionData.createdAt, lastActivity: sessionData.lastActivity })).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/chat/start:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/message
+ * Send a message in an existing chat session
+ * 
+ * Body:
+ * {
+ *   "chatId": "chat_xxx",
+ *   "message": "Your message here",
+ *   "files": [{ "fileName": "a.png", "data": "<base64>" }] (optional),
+ *   "debug": true (optional - include response parser diagnostics as "diagnostics"),
+ *   "format": "markdown" (optional - raw, markdown, html or text; placeholders resolved unless raw),
+ *   "footnotes": true (optional - number cited sources in the text; markdown unless a format is given),
+ *   "cookies": { ... } (required for chats started with custom cookies, the same ones)
+ *   "credential": "cred_..." (same, for chats started with a credential)
+ * }
+ *
+ * Also accepts multipart/form-data with the same fields and attachments under "files"
+ */
+app.post('/api/chat/message', upload.array('files'), async (req, res) => {
+  try {
+    const { chatId, message } = req.body;
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    if (!chatId || typeof message !== 'string' || !message.trim()) {
+      return sendBadRequest(res, 'chatId and message are required', 'INVALID_MESSAGE');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    const response = await sessionData.chat.sendMessage(message, { files, debug: isDebugRequest(req), format, footnotes: wantsFootnotes(req) });
+    await saveChatSession(chatId, sessionData);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        turnId: sessionData.chat.currentTurnId,
+        ...formatResponseData(response)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/chat/message:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/message/stream
+ * Send a message in an existing chat session, streamed as Server-Sent Events
+ *
+ * Body: same as /api/chat/message
+ * Events: same as /api/generate/stream
+ */
+app.post('/api/chat/message/stream', upload.array('files'), async (req, res) => {
+  try {
+    const { chatId, message } = req.body;
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    if (!chatId || typeof message !== 'string' || !message.trim()) {
+      return sendBadRequest(res, 'chatId and message are required', 'INVALID_MESSAGE');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    await streamResponse(req, res, (signal) => sessionData.chat.sendMessageStream(message, { files, signal, debug: isDebugRequest(req), format, footnotes: wantsFootnotes(req) }), {
+      chatId
+    });
+    await saveChatSession(chatId, sessionData);
+
+  } catch (error) {
+    console.error('Error in /api/chat/message/stream:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Parse a turn id from a request body (numbers, or numeric strings in form data)
+ * @param {*} value - Raw value
+ * @returns {number|null} Turn id, or null if the value is not one
+ */
+function parseTurnId(value) {
+  const turnId = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isInteger(turnId) ? turnId : null;
+}
+
+/**
+ * POST /api/chat/:chatId/regenerate
+ * Send the prompt of the current turn again; the new reply becomes a sibling branch and the
+ * conversation continues from it
+ *
+ * Body:
+ * {
+ *   "files": [...], "debug", "format", "footnotes" (optional - same as /api/chat/message;
+ *                                           attachments of the original turn are not resent)
+ *   "cookies" / "credential" (required for chats started with them, see /api/chat/message)
+ * }
+ */
+app.post('/api/chat/:chatId/regenerate', upload.array('files'), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    if (sessionData.chat.currentTurnId === null) {
+      return sendBadRequest(res, 'Chat has no reply to regenerate', 'NOTHING_TO_REGENERATE');
+    }
+
+    const response = await sessionData.chat.regenerate({ files, debug: isDebugRequest(req), format, footnotes: wantsFootnotes(req) });
+    await saveChatSession(chatId, sessionData);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        turnId: sessionData.chat.currentTurnId,
+        ...formatResponseData(response)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/chat/:chatId/regenerate:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/:chatId/edit
+ * Replace the prompt of an earlier turn and continue from the new reply
+ * The original turn and its replies stay available as another branch
+ *
+ * Body:
+ * {
+ *   "turnId": 2,
+ *   "message": "Edited prompt",
+ *   "files", "debug", "format", "footnotes", "cookies", "credential" (optional - same as /api/chat/message)
+ * }
+ */
+app.post('/api/chat/:chatId/edit', upload.array('files'), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { message } = req.body;
+    const turnId = parseTurnId(req.body?.turnId);
+    const files = getAttachments(req);
+    if (!files) {
+      return sendInvalidFiles(res);
+    }
+
+    if (turnId === null || typeof message !== 'string' || !message.trim()) {
+      return sendBadRequest(res, 'turnId and message are required', turnId === null ? 'INVALID_TURN' : 'INVALID_MESSAGE');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    if (!sessionData.chat.getTurn(turnId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Turn ${turnId} not found`
+      });
+    }
+
+    const response = await sessionData.chat.editTurn(turnId, message, { files, debug: isDebugRequest(req), format, footnotes: wantsFootnotes(req) });
+    await saveChatSession(chatId, sessionData);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        turnId: sessionData.chat.currentTurnId,
+        ...formatResponseData(response)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/chat/:chatId/edit:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/chat/:chatId/branches
+ * Turn tree of a chat session: every turn with its prompt, chosen reply and children,
+ * and the path of turns the conversation currently continues from
+ */
+app.get('/api/chat/:chatId/branches', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        ...sessionData.chat.getBranches()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/chat/:chatId/branches:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/:chatId/branches
+ * Switch the branch the conversation continues from
+ *
+ * Body:
+ * {
+ *   "turnId": 3,
+ *   "candidate": 1 (optional - choose this candidate of the turn and continue from exactly that turn;
+ *                   without it the conversation continues from the latest reply below the turn)
+ * }
+ */
+app.post('/api/chat/:chatId/branches', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const turnId = parseTurnId(req.body?.turnId);
+    const candidate = req.body?.candidate;
+
+    if (turnId === null) {
+      return sendBadRequest(res, 'turnId is required', 'INVALID_TURN');
+    }
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    const turn = sessionData.chat.getTurn(turnId);
+    if (!turn) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Turn ${turnId} not found`
+      });
+    }
+
+    if (candidate !== undefined) {
+      const index = Number(candidate);
+      if (!Number.isInteger(index) || index < 0 || index >= turn.candidates.length) {
+        return sendBadRequest(res, `candidate must be between 0 and ${turn.candidates.length - 1}`, 'INVALID_CANDIDATE');
+      }
+      sessionData.chat.chooseCandidate(index, turnId);
+    } else {
+      sessionData.chat.switchBranch(turnId);
+    }
+    await saveChatSession(chatId, sessionData);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        ...sessionData.chat.getBranches()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/chat/:chatId/branches:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/:chatId/share
+ * Create a public g.co/gemini/share link to the session's conversation as it is now
+ *
+ * Returns: { chatId, cid, shareId, url }
+ */
+app.post('/api/chat/:chatId/share', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    const { chat } = sessionData;
+    if (chat.temporary || !chat.cid) {
+      return sendBadRequest(res, chat.temporary ? 'Temporary chats cannot be shared' : 'Send a message before sharing the chat', 'NOT_SHAREABLE');
+    }
+
+    const { cid, shareId, url } = await chat.share();
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        cid,
+        shareId,
+        url
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/chat/:chatId/share:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/chat/:chatId/share/:shareId
+ * Remove a public link created with POST /api/chat/:chatId/share
+ */
+app.delete('/api/chat/:chatId/share/:shareId', async (req, res) => {
+  try {
+    const { chatId, shareId } = req.params;
+
+    const sessionData = await getChatSession(chatId, getRequestAuth(req));
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    await sessionData.chat.unshare(shareId);
+
+    res.json({
+      success: true,
+      message: 'Share link removed'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/chat/:chatId/share/:shareId:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/chat/:chatId
+ * End a chat session and cleanup resources
+ *
+ * Query or body:
+ *   remote=true (optional - also delete the conversation from the Google account's Gemini history;
+ *                custom-cookie chats need their cookies or credential for this)
+ */
+app.delete('/api/chat/:chatId', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const remote = getRequestOption(req, 'remote');
+    const deleteRemote = remote === true || remote === 'true';
+
+    // Sessions of other API keys are reported as missing
+    const record = await sessionStore.get(chatId);
+    const owned = Boolean(record) && isSessionOwnedBy(record, req.apiKey);
+
+    // The remote conversation goes first, so a failed delete leaves the session in place to retry
+    const sessionData = owned && deleteRemote ? await getChatSession(chatId, getRequestAuth(req)) : null;
+    const deletedConversations = sessionData ? await sessionData.chat.deleteConversations() : [];
+
+    if (!(owned && await endChatSession(chatId))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chat session ended',
+      ...(deleteRemote ? { deletedConversations } : {})
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/chat/:chatId:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Parse a "limit" option
+ * @param {*} value - Query or body value
+ * @returns {number|null|undefined} Limit between 1 and 100, undefined when absent, null when invalid
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= 100 ? limit : null;
+}
+
+/**
+ * Get a client for reading and managing the caller's Google conversations and gems (see getClientInstance)
+ * Conversations and gems on the default accounts belong to every caller of the server, so they are
+ * only available with ALLOW_DEFAULT_ACCOUNT_HISTORY=true
+ * @param {Object} auth - Caller credentials (see getRequestAuth)
+ * @returns {Promise<{client: GeminiClient|GeminiClientPool, isUserClient: boolean, release: Function}>}
+ */
+async function getConversationClient(auth) {
+  const ownAccount = auth.credential || normalizeCookies(auth.cookies)?.secure1PSID;
+  if (!ownAccount && !ALLOW_DEFAULT_ACCOUNT_HISTORY) {
+    throw new PermissionError(
+      'Conversations and gems of the server\'s default accounts are not available. Send your own cookies or credential, or set ALLOW_DEFAULT_ACCOUNT_HISTORY=true',
+      { code: 'HISTORY_NOT_ALLOWED' }
+    );
+  }
+  return await getClientInstance(auth);
+}
+
+/**
+ * GET /api/conversations
+ * List the Google account's conversations, including ones started in the browser,
+ * pinned ones first, then most recently updated
+ *
+ * Query: limit (1-100, default 20), pageToken (nextPageToken of the previous page),
+ *        accountId (default accounts only - which account to list, the first one by default)
+ * Headers: X-Gemini-Credential for your own account (the default accounts need ALLOW_DEFAULT_ACCOUNT_HISTORY=true)
+ *
+ * Returns: { chats: [{ cid, title, pinned, updatedAt }], nextPageToken }
+ */
+app.get('/api/conversations', async (req, res) => {
+  let release = null;
+
+  try {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendBadRequest(res, 'limit must be an integer between 1 and 100', 'INVALID_LIMIT');
+    }
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    const result = await instance.client.listChats({
+      limit,
+      pageToken: req.query.pageToken || null,
+      accountId: req.query.accountId || undefined
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error in /api/conversations:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * GET /api/conversations/:cid
+ * Prompts and replies of a Google conversation, oldest first, parsed like /api/generate output
+ * Continue it with POST /api/chat/start { "cid": "..." }
+ *
+ * Query: limit (1-100 most recent turns, default 50), accountId (see GET /api/conversations),
+ *        debug, format, footnotes (same as /api/generate)
+ */
+app.get('/api/conversations/:cid', async (req, res) => {
+  let release = null;
+
+  try {
+    const { cid } = req.params;
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendBadRequest(res, 'limit must be an integer between 1 and 100', 'INVALID_LIMIT');
+    }
+
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    const history = await instance.client.getChatHistory(cid, {
+      limit,
+      accountId: req.query.accountId || undefined,
+      debug: isDebugRequest(req),
+      format,
+      footnotes: wantsFootnotes(req)
+    });
+
+    if (history.turns.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(history.accountId ? { accountId: history.accountId } : {}),
+        cid: history.cid,
+        turns: history.turns.map(turn => ({
+          rid: turn.rid,
+          rcid: turn.rcid,
+          prompt: turn.prompt,
+          createdAt: turn.createdAt,
+          ...formatResponseData(turn.output)
+        })),
+        ...(history.diagnostics ? { diagnostics: history.diagnostics } : {})
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/conversations/:cid:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * PATCH /api/conversations/:cid
+ * Rename, pin or unpin a Google conversation
+ *
+ * Body:
+ * {
+ *   "title": "New title" (optional),
+ *   "pinned": true (optional),
+ *   "accountId": "account_1" (optional - see GET /api/conversations),
+ *   "cookies" / "credential" (your own account; the default accounts need ALLOW_DEFAULT_ACCOUNT_HISTORY=true)
+ * }
+ */
+app.patch('/api/conversations/:cid', async (req, res) => {
+  let release = null;
+
+  try {
+    const { cid } = req.params;
+    const { title, pinned, accountId } = req.body || {};
+
+    if (title === undefined && pinned === undefined) {
+      return sendBadRequest(res, 'title or pinned is required', 'NOTHING_TO_UPDATE');
+    }
+    if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+      return sendBadRequest(res, 'title must be a non-empty string', 'INVALID_TITLE');
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return sendBadRequest(res, 'pinned must be a boolean', 'INVALID_PINNED');
+    }
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    const options = { accountId: accountId || undefined };
+    if (title !== undefined) {
+      await instance.client.renameChat(cid, title, options);
+    }
+    if (pinned !== undefined) {
+      await instance.client.pinChat(cid, pinned, options);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cid,
+        ...(title !== undefined ? { title: title.trim() } : {}),
+        ...(pinned !== undefined ? { pinned } : {})
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in PATCH /api/conversations/:cid:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * DELETE /api/conversations/:cid
+ * Delete a Google conversation from the account's Gemini history
+ *
+ * Query: accountId (optional - see GET /api/conversations)
+ * Headers: X-Gemini-Credential for your own account (the default accounts need ALLOW_DEFAULT_ACCOUNT_HISTORY=true)
+ */
+app.delete('/api/conversations/:cid', async (req, res) => {
+  let release = null;
+
+  try {
+    const { cid } = req.params;
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    await instance.client.deleteChat(cid, { accountId: getRequestOption(req, 'accountId') || undefined });
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/conversations/:cid:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
+  }
+});
+
+/**
+ * GET /api/shares/:shareId
+ * Read a shared conversation from its public page, oldest turn first, parsed like
+ * /api/generate output (share pages are public, so no account is needed)
+ *
+ * Query: debug, format, footnotes (same as /api/generate)
+ *
+ * Returns: { shareId, title, createdAt, url, turns: [{ rid, rcid, prompt, createdAt, ... }] }
+ */
+app.get('/api/shares/:shareId', async (req, res) => {
+  try {
+    const format = getRenderFormat(req);
+    if (!format) {
+      return sendInvalidFormat(res);
+    }
+
+    const shared = await shareClient.getSharedChat(req.params.shareId, {
+      debug: isDebugRequest(req),
+      format,
+      footnotes: wantsFootnotes(req)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        shareId: shared.shareId,
+        url: shared.url,
+        title: shared.title,
+        createdAt: shared.createdAt,
+        turns: shared.turns.map(turn => ({
+          rid: turn.rid,
+          rcid: turn.rcid,
+          prompt: turn.prompt,
+          createdAt: turn.createdAt,
+          ...formatResponseData(turn.output)
+        })),
+        ...(shared.diagnostics ? { diagnostics: shared.diagnostics } : {})
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/shares/:shareId:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Validate the body of a gem create or update request
+ * @param {Object} body - { name, instructions, description }
+ * @returns {string|null} Error message, or null if the body is valid
+ */
+function validateGemBody({ name, instructions, description } = {}) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'name must be a non-empty string';
+  }
+  if (typeof instructions !== 'string' || instructions.trim() === '') {
+    return 'instructions must be a non-empty string';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+}
+
+/**
+ * GET /api/gems
+ * List the Google account's gems (custom personas with their own instructions)
+ * Gems of the default accounts are shared by every caller of the server
+ *
+ * Query: predefined (optional - "true" to include Google's predefined gems),
+ *        accountId (default accounts only - which account to list, the first one by default)
+ * Headers: X-Gemini-Credential for your own account (the default accounts need ALLOW_DEFAULT_ACCOUNT_HISTORY=true)
+ *
+ * Returns: { gems: [{ id, name, description, instructions, predefined }] }
+ */
+app.get('/api/gems', async (req, res) => {
+  let release = null;
+
+  try {
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
 
-/**
- * Initialize Gemini client from environment variables
- */
-async function initializeClient() {
-  const secure1PSID = process.env.SECURE_1PSID;
-  const secure1PSIDTS = process.env.SECURE_1PSIDTS;
+    const result = await instance.client.listGems({
+      predefined: req.query.predefined === 'true',
+      accountId: req.query.accountId || undefined
+    });
 
-  if (!secure1PSID) {
-    console.warn('⚠️  Warning: SECURE_1PSID not found in environment variables');
-    console.warn('Server will run in multi-user mode only (cookies required in payload)');
-    return;
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error in /api/gems:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
   }
+});
+
+/**
+ * POST /api/gems
+ * Create a gem
+ *
+ * Body:
+ * {
+ *   "name": "Support agent",
+ *   "instructions": "You answer customer tickets...",
+ *   "description": "..." (optional),
+ *   "accountId": "account_1" (optional - see GET /api/gems),
+ *   "cookies" / "credential" (optional - your own account)
+ * }
+ *
+ * Returns: { id, name, description, instructions, predefined }
+ */
+app.post('/api/gems', async (req, res) => {
+  let release = null;
 
   try {
-    geminiClient = new GeminiClient(secure1PSID, secure1PSIDTS);
-    
-    await geminiClient.init({
-      timeout: 300000,
-      autoRefresh: true,
-      refreshInterval: 60000, // 1 minute
-      verbose: true
+    const invalid = validateGemBody(req.body);
+    if (invalid) {
+      return sendBadRequest(res, invalid, 'INVALID_GEM');
+    }
+
+    const { name, instructions, description, accountId } = req.body;
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    const gem = await instance.client.createGem({ name, instructions, description }, { accountId: accountId || undefined });
+
+    res.status(201).json({
+      success: true,
+      data: gem
     });
 
-    console.log('✓ Global Gemini client initialized successfully');
   } catch (error) {
-    console.error('❌ Failed to initialize global client:', error.message);
-    console.warn('Server will run in multi-user mode only (cookies required in payload)');
-    geminiClient = null; // Reset to null on failure
+    console.error('Error in POST /api/gems:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
   }
-}
+});
 
 /**
- * Create a temporary client instance with custom cookies
- * @param {string} secure1PSID - User's __Secure-1PSID cookie
- * @param {string} secure1PSIDTS - User's __Secure-1PSIDTS cookie
- * @returns {Promise<GeminiClient>}
+ * PUT /api/gems/:id
+ * Replace the name, instructions and description of a gem
+ *
+ * Body: same as POST /api/gems (a missing description clears it)
  */
-async function createUserClient(secure1PSID, secure1PSIDTS) {
-  const userClient = new GeminiClient(secure1PSID, secure1PSIDTS);
-  await userClient.init({
-    timeout: 300000,
-    autoRefresh: false, // Disable auto-refresh for temporary clients
-    verbose: false
-  });
-  return userClient;
-}
+app.put('/api/gems/:id', async (req, res) => {
+  let release = null;
+
+  try {
+    const invalid = validateGemBody(req.body);
+    if (invalid) {
+      return sendBadRequest(res, invalid, 'INVALID_GEM');
+    }
+
+    const { name, instructions, description, accountId } = req.body;
+
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    const gem = await instance.client.updateGem(req.params.id, { name, instructions, description }, { accountId: accountId || undefined });
+
+    res.json({
+      success: true,
+      data: gem
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /api/gems/:id:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
+    }
+  }
+});
 
 /**
- * Normalize cookie keys to lowercase (handle both SECURE_1PSID and secure1PSID)
- * @param {Object} cookies - Cookies object
- * @returns {Object} Normalized cookies
+ * DELETE /api/gems/:id
+ * Delete a gem
+ *
+ * Query: accountId (optional - see GET /api/gems)
  */
-function normalizeCookies(cookies) {
-  if (!cookies) return null;
-  
-  const normalized = {};
-  for (const [key, value] of Object.entries(cookies)) {
-    const lowerKey = key.toLowerCase().replace(/_/g, '').replace('secure', 'secure');
-    if (lowerKey.includes('secure1psid') && !lowerKey.includes('ts')) {
-      normalized.secure1PSID = value;
-    } else if (lowerKey.includes('secure1psidts')) {
-      normalized.secure1PSIDTS = value;
+app.delete('/api/gems/:id', async (req, res) => {
+  let release = null;
+
+  try {
+    const instance = await getConversationClient(getRequestAuth(req));
+    release = instance.release;
+
+    await instance.client.deleteGem(req.params.id, { accountId: getRequestOption(req, 'accountId') || undefined });
+
+    res.json({
+      success: true,
+      message: 'Gem deleted'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/gems/:id:', error.message);
+    sendError(res, error);
+  } finally {
+    if (release) {
+      release();
     }
   }
-  return Object.keys(normalized).length > 0 ? normalized : null;
-}
+});
 
 /**
- * Get client instance - either from custom cookies or global default
- * @param {Object} cookies - Optional custom cookies { secure1PSID, secure1PSIDTS } or { SECURE_1PSID, SECURE_1PSIDTS }
- * @returns {Promise<{client: GeminiClient, isTemporary: boolean}>}
+ * GET /api/models
+ * Get available models with their aliases and capabilities
  */
-async function getClientInstance(cookies = null) {
-  // Normalize cookie keys to handle both uppercase and lowercase
-  const normalizedCookies = normalizeCookies(cookies);
-  
-  if (normalizedCookies && normalizedCookies.secure1PSID) {
-    // Create temporary client with user's cookies
-    const client = await createUserClient(normalizedCookies.secure1PSID, normalizedCookies.secure1PSIDTS);
-    return { client, isTemporary: true };
-  }
-  
-  // Lazy initialization for global client (important for serverless)
-  if (!geminiClient) {
-    const secure1PSID = process.env.SECURE_1PSID;
-    if (!secure1PSID) {
-      throw new Error('No cookies provided. Please include cookies in request payload: { "cookies": { "secure1PSID": "your-cookie-here", "secure1PSIDTS": "your-cookie-here" } }');
-    }
-    
-    console.log('[Lazy Init] Initializing global client...');
-    await initializeClient();
-    
-    if (!geminiClient) {
-      throw new Error('Failed to initialize global client. Please provide valid cookies in request payload.');
+app.get('/api/models', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      models: modelRegistry.list().filter(model => apiKeys.isModelAllowed(req.apiKey, model)),
+      default: DEFAULT_MODEL.name
     }
-  }
-  
-  return { client: geminiClient, isTemporary: false };
-}
+  });
+});
 
 /**
- * Health check endpoint
+ * GET /api/accounts
+ * Get the state of the default account pool (availability, cooldowns, usage)
  */
-app.get('/health', (req, res) => {
+app.get('/api/accounts', (req, res) => {
+  const accounts = clientPool ? clientPool.getStatus() : [];
   res.json({
-    status: 'ok',
-    message: 'Gemini API Server is running',
-    timestamp: new Date().toISOString()
+    success: true,
+    data: {
+      accounts,
+      available: accounts.filter(account => account.available).length,
+      strategy: clientPool ? clientPool.strategy : null
+    }
   });
 });
 
 /**
- * POST /api/generate
- * Generate content from a single prompt
- * 
+ * POST /api/credentials
+ * Store Google cookies in the vault and get a credential token to use instead of them
+ *
  * Body:
  * {
- *   "prompt": "Your prompt here",
- *   "model": "gemini-2.0-flash-exp" (optional),
- *   "cookies": {                         (optional - for multi-user support)
- *     "secure1PSID": "your_cookie",
- *     "secure1PSIDTS": "your_cookie"
- *   }
+ *   "cookies": { "secure1PSID": "your_cookie", "secure1PSIDTS": "your_cookie" },
+ *   "label": "my account" (optional)
  * }
+ *
+ * Send the returned token as "X-Gemini-Credential: <token>" or "credential" in the body.
+ * The cookies are checked by initializing a client, which then keeps them rotated.
  */
-app.post('/api/generate', async (req, res) => {
-  let tempClient = null;
-  
+app.post('/api/credentials', async (req, res) => {
   try {
-    const { prompt, model, cookies } = req.body;
+    const cookies = normalizeCookies(req.body?.cookies);
+    const label = typeof req.body?.label === 'string' ? req.body.label : null;
 
-    if (!prompt) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Prompt is required'
-      });
+    if (!cookies || !cookies.secure1PSID) {
+      return sendBadRequest(res, 'cookies.secure1PSID is required', 'INVALID_COOKIES');
     }
 
-    // Get client instance (custom or global)
-    const { client, isTemporary } = await getClientInstance(cookies);
-    if (isTemporary) {
-      tempClient = client; // Store for cleanup
-    }
+    const apiKeyId = req.apiKey ? req.apiKey.id : null;
+    const credential = await cookieVault.create(cookies, { label, apiKeyId });
 
-    const response = await client.generateContent(prompt, {
-      model: model || Models.GEMINI_2_5_FLASH
-    });
+    try {
+      const { release } = await getCredentialClient(credential.token, req.apiKey);
+      release();
+    } catch (error) {
+      await cookieVault.revoke(credential.id, { apiKeyId });
+      throw error;
+    }
 
-    res.json({
+    res.status(201).json({
       success: true,
       data: {
-        text: response.text,
-        thoughts: response.thoughts || null,
-        images: response.images || [],
-        webImages: response.webImages || [],
-        generatedImages: response.generatedImages || [],
-        fileAttachments: response.fileAttachments || [],
-        codeBlocks: response.codeBlocks || [],
-        codeExecutionResult: response.codeExecutionResult || null,
-        sources: response.sources || [],
-        factuality: response.factuality || null,
-        candidates: response.candidates.length,
-        model: model || Models.GEMINI_2_5_FLASH
+        credential: credential.token,
+        id: credential.id,
+        label: credential.label,
+        createdAt: credential.createdAt
       }
     });
 
   } catch (error) {
-    console.error('Error in /api/generate:', error.message);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  } finally {
-    // Cleanup temporary client
-    if (tempClient) {
-      await tempClient.close();
-    }
+    console.error('Error in /api/credentials:', error.message);
+    sendError(res, error);
   }
 });
 
 /**
- * POST /api/chat/start
- * Start a new chat session
- * 
- * Body:
- * {
- *   "model": "gemini-2.0-flash-exp" (optional),
- *   "cookies": {                         (optional - for multi-user support)
- *     "secure1PSID": "your_cookie",
- *     "secure1PSIDTS": "your_cookie"
- *   }
- * }
- * 
- * Returns: { chatId: string }
+ * GET /api/credentials
+ * List the caller's stored credentials (without cookies or tokens)
  */
-const chatSessions = new Map(); // { chatId: { chat, client, isUserClient } }
-
-app.post('/api/chat/start', async (req, res) => {
+app.get('/api/credentials', async (req, res) => {
   try {
-    const { model, cookies } = req.body;
-
-    // Get client instance (custom or global)
-    const { client, isTemporary } = await getClientInstance(cookies);
-
-    const chat = client.startChat({
-      model: model || Models.GEMINI_2_5_FLASH
-    });
-
-    const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store chat session with client reference
-    chatSessions.set(chatId, {
-      chat,
-      client: isTemporary ? client : null, // Store client only if temporary
-      isUserClient: isTemporary
-    });
+    const credentials = await cookieVault.list({ apiKeyId: req.apiKey ? req.apiKey.id : null });
 
     res.json({
       success: true,
       data: {
-        chatId,
-        model: model || Models.GEMINI_2_5_FLASH,
-        message: 'Chat session started',
-        usingCustomCookies: isTemporary
+        credentials,
+        count: credentials.length
       }
     });
 
   } catch (error) {
-    console.error('Error in /api/chat/start:', error.message);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
+    console.error('Error in GET /api/credentials:', error.message);
+    sendError(res, error);
   }
 });
 
 /**
- * POST /api/chat/message
- * Send a message in an existing chat session
- * 
- * Body:
- * {
- *   "chatId": "chat_xxx",
- *   "message": "Your message here"
- * }
+ * DELETE /api/credentials/:id
+ * Revoke a stored credential and stop its client
  */
-app.post('/api/chat/message', async (req, res) => {
+app.delete('/api/credentials/:id', async (req, res) => {
   try {
-    const { chatId, message } = req.body;
+    const { id } = req.params;
 
-    if (!chatId || !message) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'chatId and message are required'
-      });
-    }
-
-    const sessionData = chatSessions.get(chatId);
-    if (!sessionData) {
+    if (!(await cookieVault.revoke(id, { apiKeyId: req.apiKey ? req.apiKey.id : null }))) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'Chat session not found'
+        message: 'Credential not found'
       });
     }
+    await closeCredentialClient(id);
+
+    res.json({
+      success: true,
+      message: 'Credential revoked'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/credentials/:id:', error.message);
+    sendError(res, error);
+  }
+});
 
-    const response = await sessionData.chat.sendMessage(message);
+/**
+ * GET /api/chat/sessions
+ * Get the caller's active chat sessions with their activity and expiry times
+ */
+app.get('/api/chat/sessions', async (req, res) => {
+  try {
+    const now = Date.now();
+    const sessions = (await sessionStore.list())
+      .filter(session => getSessionExpiry(session) > now && isSessionOwnedBy(session, req.apiKey));
 
     res.json({
       success: true,
       data: {
-        chatId,
-        text: response.text,
-        thoughts: response.thoughts || null,
-        images: response.images || [],
-        webImages: response.webImages || [],
-        generatedImages: response.generatedImages || [],
-        fileAttachments: response.fileAttachments || [],
-        codeBlocks: response.codeBlocks || [],
-        codeExecutionResult: response.codeExecutionResult || null,
-        sources: response.sources || [],
-        factuality: response.factuality || null,
-        candidates: response.candidates.length
+        activeSessions: sessions.map(session => session.chatId),
+        sessions: sessions.map(session => ({
+          chatId: session.chatId,
+          model: session.chat.model,
+          turns: (session.chat.turns || []).length,
+          temporary: Boolean(session.chat.temporary),
+          gem: session.chat.gem || null,
+          usingCustomCookies: session.usesCustomCookies,
+          createdAt: new Date(session.createdAt).toISOString(),
+          lastActivity: new Date(session.lastActivity || session.createdAt).toISOString(),
+          expiresAt: new Date(getSessionExpiry(session)).toISOString()
+        })),
+        count: sessions.length
       }
     });
 
   } catch (error) {
-    console.error('Error in /api/chat/message:', error.message);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
+    console.error('Error in /api/chat/sessions:', error.message);
+    sendError(res, error);
   }
 });
 
 /**
- * DELETE /api/chat/:chatId
- * End a chat session and cleanup resources
+ * Send an error in the OpenAI error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while handling a request
  */
-app.delete('/api/chat/:chatId', async (req, res) => {
+function sendOpenAIError(res, error) {
+  const { status, body } = getErrorResponse(error);
+  setRetryAfter(res, error);
+  res.status(status).json(toOpenAIError(status, body));
+}
+
+/**
+ * POST /v1/chat/completions
+ * OpenAI-compatible chat completions
+ *
+ * Body:
+ * {
+ *   "model": "gemini-2.5-flash",
+ *   "messages": [{ "role": "user", "content": "Hello" }],
+ *   "stream": false (optional),
+ *   "n": 1 (optional - up to the number of candidates Gemini returns; when streaming, choices
+ *         after the first are sent whole at the end)
+ * }
+ *
+ * The messages are flattened into a single prompt, so every request is stateless.
+ * "Authorization: Bearer <__Secure-1PSID>[;<__Secure-1PSIDTS>]" uses those cookies
+ * instead of the default accounts.
+ */
+app.post('/v1/chat/completions', async (req, res) => {
+  let release = null;
+
   try {
-    const { chatId } = req.params;
+    const { model, messages, stream = false, n = 1 } = req.body || {};
 
-    if (!chatSessions.has(chatId)) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Chat session not found'
-      });
+    let prompt;
+    let files;
+    try {
+      ({ prompt, files } = messagesToPrompt(messages));
+    } catch (error) {
+      return res.status(400).json(toOpenAIError(400, { message: error.message, code: 'invalid_messages' }));
     }
 
-    const sessionData = chatSessions.get(chatId);
-    
-    // Cleanup temporary user client if exists
-    if (sessionData.client && sessionData.isUserClient) {
-      await sessionData.client.close();
+    if (!Number.isInteger(n) || n < 1) {
+      return res.status(400).json(toOpenAIError(400, { message: 'n must be a positive integer', code: 'invalid_n' }));
     }
 
-    chatSessions.delete(chatId);
+    // Resolve the model before creating a client so unknown names fail fast
+    const selectedModel = resolveModel(model || DEFAULT_MODEL);
+    apiKeys.checkModel(req.apiKey, selectedModel);
 
-    res.json({
-      success: true,
-      message: 'Chat session ended'
+    const instance = await getClientInstance({
+      cookies: parseBearerCookies(req.get('authorization')),
+      credential: req.get('x-gemini-credential') || null,
+      apiKey: req.apiKey
     });
+    const { client } = instance;
+    release = instance.release;
 
-  } catch (error) {
-    console.error('Error in DELETE /api/chat/:chatId:', error.message);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
+    const id = createCompletionId();
+
+    if (!stream) {
+      const response = await client.generateContent(prompt, { model: selectedModel, files });
+      return res.json(toChatCompletion(response, { id, model: selectedModel.name, prompt, n }));
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
     });
-  }
-});
 
-/**
- * GET /api/models
- * Get available models
- */
-app.get('/api/models', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      models: Object.values(Models),
-      default: Models.GEMINI_2_5_FLASH
+    const created = Math.floor(Date.now() / 1000);
+    const sendChunk = (chunk) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+      }
+      res.write(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`);
+    };
+
+    try {
+      let sentRole = false;
+      let otherCandidates = [];
+      for await (const event of client.generateContentStream(prompt, { model: selectedModel, files, signal: controller.signal })) {
+        if (event.type === 'done') {
+          otherCandidates = event.response.candidates.slice(1, n);
+          continue;
+        }
+        if (event.type !== 'delta' || !event.text) {
+          continue;
+        }
+        const delta = { content: event.text };
+        if (!sentRole) {
+          delta.role = 'assistant';
+          sentRole = true;
+        }
+        sendChunk(toChatCompletionChunk({ id, model: selectedModel.name, created, delta }));
+      }
+
+      // Only the first candidate is streamed; further ones (n > 1) arrive whole with the final frame
+      for (const [offset, candidate] of otherCandidates.entries()) {
+        const delta = { role: 'assistant', content: candidate.text };
+        sendChunk(toChatCompletionChunk({ id, model: selectedModel.name, created, index: offset + 1, delta }));
+      }
+      for (let index = 0; index <= otherCandidates.length; index++) {
+        sendChunk(toChatCompletionChunk({ id, model: selectedModel.name, created, index, finishReason: 'stop' }));
+      }
+      sendChunk('[DONE]');
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      console.error('Error in /v1/chat/completions:', error.message);
+      if (res.headersSent) {
+        const { status, body } = getErrorResponse(error);
+        sendChunk(toOpenAIError(status, body));
+      } else {
+        sendOpenAIError(res, error);
+      }
+    } finally {
+      if (!res.writableEnded) {
+        res.end();
+      }
     }
-  });
+
+  } catch (error) {
+    console.error('Error in /v1/chat/completions:', error.message);
+    sendOpenAIError(res, error);
+  } finally {
+    // Return the user client to the cache
+    if (release) {
+      release();
+    }
+  }
 });
 
 /**
- * GET /api/chat/sessions
- * Get all active chat sessions
+ * GET /v1/models
+ * OpenAI-compatible model list
  */
-app.get('/api/chat/sessions', (req, res) => {
+app.get('/v1/models', (req, res) => {
   res.json({
-    success: true,
-    data: {
-      activeSessions: Array.from(chatSessions.keys()),
-      count: chatSessions.size
-    }
+    object: 'list',
+    data: modelRegistry.list()
+      .filter(model => model.name !== Models.UNSPECIFIED.name && apiKeys.isModelAllowed(req.apiKey, model))
+      .map(model => ({
+        id: model.name,
+        object: 'model',
+        created: 0,
+        owned_by: 'google'
+      }))
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: err.message
-  });
+  if (err instanceof multer.MulterError) {
+    return sendBadRequest(res, err.message, 'INVALID_UPLOAD');
+  }
+
+  // API key failures are expected; anything else is logged
+  if (!(err instanceof GeminiError)) {
+    console.error('Unhandled error:', err);
+  }
+
+  if (req.path.startsWith('/v1/')) {
+    return sendOpenAIError(res, err);
+  }
+  sendError(res, err);
 });
 
 // 404 handler
@@ -423,11 +2513,34 @@ async function startServer() {
       console.log('Available endpoints:');
       console.log(`  GET    http://localhost:${PORT}/health`);
       console.log(`  GET    http://localhost:${PORT}/api/models`);
+      console.log(`  GET    http://localhost:${PORT}/api/accounts`);
       console.log(`  POST   http://localhost:${PORT}/api/generate`);
+      console.log(`  POST   http://localhost:${PORT}/api/generate/stream`);
       console.log(`  POST   http://localhost:${PORT}/api/chat/start`);
       console.log(`  POST   http://localhost:${PORT}/api/chat/message`);
+      console.log(`  POST   http://localhost:${PORT}/api/chat/message/stream`);
       console.log(`  GET    http://localhost:${PORT}/api/chat/sessions`);
+      console.log(`  POST   http://localhost:${PORT}/api/chat/:chatId/regenerate`);
+      console.log(`  POST   http://localhost:${PORT}/api/chat/:chatId/edit`);
+      console.log(`  GET    http://localhost:${PORT}/api/chat/:chatId/branches`);
+      console.log(`  POST   http://localhost:${PORT}/api/chat/:chatId/branches`);
+      console.log(`  POST   http://localhost:${PORT}/api/chat/:chatId/share`);
+      console.log(`  DELETE http://localhost:${PORT}/api/chat/:chatId/share/:shareId`);
+      console.log(`  POST   http://localhost:${PORT}/api/credentials`);
+      console.log(`  GET    http://localhost:${PORT}/api/credentials`);
+      console.log(`  DELETE http://localhost:${PORT}/api/credentials/:id`);
       console.log(`  DELETE http://localhost:${PORT}/api/chat/:chatId`);
+      console.log(`  GET    http://localhost:${PORT}/api/conversations`);
+      console.log(`  GET    http://localhost:${PORT}/api/conversations/:cid`);
+      console.log(`  PATCH  http://localhost:${PORT}/api/conversations/:cid`);
+      console.log(`  DELETE http://localhost:${PORT}/api/conversations/:cid`);
+      console.log(`  GET    http://localhost:${PORT}/api/shares/:shareId`);
+      console.log(`  GET    http://localhost:${PORT}/api/gems`);
+      console.log(`  POST   http://localhost:${PORT}/api/gems`);
+      console.log(`  PUT    http://localhost:${PORT}/api/gems/:id`);
+      console.log(`  DELETE http://localhost:${PORT}/api/gems/:id`);
+      console.log(`  POST   http://localhost:${PORT}/v1/chat/completions`);
+      console.log(`  GET    http://localhost:${PORT}/v1/models`);
       console.log();
       console.log('Press Ctrl+C to stop the server');
       console.log('='.repeat(60));
@@ -443,17 +2556,17 @@ async function startServer() {
 process.on('SIGINT', async () => {
   console.log('\n\nShutting down gracefully...');
   
-  // Close all user clients in chat sessions
-  for (const [chatId, sessionData] of chatSessions.entries()) {
-    if (sessionData.client && sessionData.isUserClient) {
-      await sessionData.client.close();
-    }
-  }
   chatSessions.clear();
+  clearInterval(sessionSweeper);
+  await sessionStore.close();
+
+  // Close all cached user clients
+  await clientCache.close();
+  await cookieVault.close();
   
-  // Close global client
-  if (geminiClient) {
-    await geminiClient.close();
+  // Close global client pool
+  if (clientPool) {
+    await clientPool.close();
   }
   
   process.exit(0);
@@ -462,17 +2575,17 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n\nShutting down gracefully...');
   
-  // Close all user clients in chat sessions
-  for (const [chatId, sessionData] of chatSessions.entries()) {
-    if (sessionData.client && sessionData.isUserClient) {
-      await sessionData.client.close();
-    }
-  }
   chatSessions.clear();
+  clearInterval(sessionSweeper);
+  await sessionStore.close();
+
+  // Close all cached user clients
+  await clientCache.close();
+  await cookieVault.close();
   
-  // Close global client
-  if (geminiClient) {
-    await geminiClient.close();
+  // Close global client pool
+  if (clientPool) {
+    await clientPool.close();
   }
   
   process.exit(0);
@@ -0,0 +1,211 @@
+/**
+ * Chat session stores
+ * Persist serialized chat sessions (see ChatSession.toJSON) so a chatId keeps
+ * working across restarts, processes and serverless instances
+ *
+ * Every store implements the same async interface:
+ *   get(chatId)          -> record | null
+ *   set(chatId, record)  -> void
+ *   delete(chatId)       -> boolean
+ *   list()               -> [{ chatId, ...record }]
+ *   close()              -> void
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * In-memory store (sessions are lost on restart)
+ */
+export class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(chatId) {
+        const record = this.sessions.get(chatId);
+        return record ? structuredClone(record) : null;
+    }
+
+    async set(chatId, record) {
+        this.sessions.set(chatId, structuredClone(record));
+    }
+
+    async delete(chatId) {
+        return this.sessions.delete(chatId);
+    }
+
+    async list() {
+        return Array.from(this.sessions.entries()).map(([chatId, record]) => ({ chatId, ...structuredClone(record) }));
+    }
+
+    async close() {}
+}
+
+/**
+ * JSON file store
+ * The file is re-read when another process modifies it and written atomically
+ */
+export class FileSessionStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.sessions = {};
+        this.mtimeMs = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const stats = await fs.promises.stat(this.filePath);
+            if (stats.mtimeMs !== this.mtimeMs) {
+                this.sessions = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+                this.mtimeMs = stats.mtimeMs;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.sessions = {};
+        }
+    }
+
+    /**
+     * Apply a change and write the file, one write at a time
+     */
+    update(change) {
+        const run = async () => {
+            await this.load();
+            const result = change(this.sessions);
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.sessions), { mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath);
+            this.mtimeMs = (await fs.promises.stat(this.filePath)).mtimeMs;
+
+            return result;
+        };
+
+        const result = this.writeQueue.then(run, run);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async get(chatId) {
+        await this.load();
+        const record = this.sessions[chatId];
+        return record ? structuredClone(record) : null;
+    }
+
+    async set(chatId, record) {
+        const copy = structuredClone(record);
+        await this.update(sessions => {
+            sessions[chatId] = copy;
+        });
+    }
+
+    async delete(chatId) {
+        return await this.update(sessions => {
+            const existed = chatId in sessions;
+            delete sessions[chatId];
+            return existed;
+        });
+    }
+
+    async list() {
+        await this.load();
+        return Object.entries(this.sessions).map(([chatId, record]) => ({ chatId, ...structuredClone(record) }));
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+/**
+ * SQLite store (requires the optional better-sqlite3 package)
+ */
+export class SQLiteSessionStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error('SQLite session store requires better-sqlite3. Install it with: npm install better-sqlite3');
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS chat_sessions (
+                chat_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+        return this.db;
+    }
+
+    async get(chatId) {
+        const db = await this.open();
+        const row = db.prepare('SELECT data FROM chat_sessions WHERE chat_id = ?').get(chatId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async set(chatId, record) {
+        const db = await this.open();
+        db.prepare(`
+            INSERT INTO chat_sessions (chat_id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(chat_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(chatId, JSON.stringify(record), Date.now());
+    }
+
+    async delete(chatId) {
+        const db = await this.open();
+        return db.prepare('DELETE FROM chat_sessions WHERE chat_id = ?').run(chatId).changes > 0;
+    }
+
+    async list() {
+        const db = await this.open();
+        return db.prepare('SELECT chat_id, data FROM chat_sessions ORDER BY updated_at').all()
+            .map(row => ({ chatId: row.chat_id, ...JSON.parse(row.data) }));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Create a session store from a type name
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.type - 'memory', 'file' or 'sqlite'
+ * @param {string} options.path - File path for the file and sqlite stores
+ * @returns {MemorySessionStore|FileSessionStore|SQLiteSessionStore}
+ */
+export function createSessionStore({ type = 'memory', path: filePath } = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file':
+            return new FileSessionStore(filePath || 'data/chat-sessions.json');
+        case 'sqlite':
+            return new SQLiteSessionStore(filePath || 'data/chat-sessions.db');
+        default:
+            throw new Error(`Unknown session store "${type}". Use "memory", "file" or "sqlite"`);
+    }
+}
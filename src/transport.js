@@ -0,0 +1,314 @@
+/**
+ * HTTP transports
+ * GeminiClient and the helpers in utils.js send every request through a transport: any
+ * object with an axios-style request(config) method that resolves to
+ * { status, statusText, headers, data, config }. The default is the shared axios client
+ * (httpClient); the transports below record real exchanges to fixture files and replay
+ * them offline
+ *
+ * Fixture: { version, recordedAt, exchanges: [{ request: { method, url, headers, data },
+ *   response: { status, statusText, headers, data | chunks } | null, error: { code, message } | null }] }
+ * (streamed responses keep their chunks so replays split the body the same way)
+ */
+
+import fs from 'fs';
+import { PassThrough, Readable } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { AxiosError } from 'axios';
+import { httpClient } from './utils.js';
+
+export const FIXTURE_VERSION = 1;
+
+// Placeholder for scrubbed cookie values and tokens
+const SCRUBBED = 'scrubbed';
+
+/**
+ * Copy response headers into a plain object with lowercase names
+ */
+function toPlainHeaders(headers) {
+    const plain = {};
+    const entries = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+    for (const [name, value] of Object.entries(entries)) {
+        if (value !== undefined && value !== null) {
+            plain[name.toLowerCase()] = value;
+        }
+    }
+    return plain;
+}
+
+/**
+ * Turn request or response data into something that can be written to JSON
+ */
+function serializeData(data) {
+    if (data === undefined || data === null || typeof data === 'string') {
+        return data ?? null;
+    }
+    if (Buffer.isBuffer(data)) {
+        return data.toString('utf8');
+    }
+    if (data instanceof URLSearchParams) {
+        return data.toString();
+    }
+    if (typeof FormData !== 'undefined' && data instanceof FormData) {
+        return '[FormData]';
+    }
+    return data;
+}
+
+/**
+ * Default scrubbing: cookie values, the SNlM0e access token in init pages and the
+ * `at` field of form-encoded request bodies
+ */
+function scrubExchange(exchange) {
+    const { request, response } = exchange;
+
+    for (const [name, value] of Object.entries(request.headers)) {
+        if (name.toLowerCase() === 'cookie' && typeof value === 'string') {
+            request.headers[name] = value.split(';')
+                .map(pair => pair.trim())
+                .filter(Boolean)
+                .map(pair => pair.includes('=') ? `${pair.slice(0, pair.indexOf('='))}=${SCRUBBED}` : pair)
+                .join('; ');
+        }
+    }
+
+    if (typeof request.data === 'string') {
+        request.data = request.data.replace(/(^|&)at=[^&]*/, `$1at=${SCRUBBED}`);
+    }
+
+    if (response) {
+        if (response.headers['set-cookie']) {
+            response.headers['set-cookie'] = [].concat(response.headers['set-cookie'])
+                .map(cookie => cookie.replace(/^([^=;]+)=[^;]*/, `$1=${SCRUBBED}`));
+        }
+        if (typeof response.data === 'string') {
+            response.data = response.data.replace(/"SNlM0e":"[^"]*"/g, `"SNlM0e":"${SCRUBBED}"`);
+        }
+    }
+
+    return exchange;
+}
+
+/**
+ * Transport that passes requests to another transport and records every exchange
+ *
+ * @example
+ * const recorder = new RecordingTransport();
+ * const client = new GeminiClient(secure1PSID, secure1PSIDTS, null, { transport: recorder });
+ * await client.init();
+ * await client.generateContent('Hello');
+ * await recorder.save('fixtures/hello.json');
+ */
+export class RecordingTransport {
+    /**
+     * @param {Object} options - Recorder options
+     * @param {Object} options.transport - Transport that performs the requests (defaults to httpClient)
+     * @param {boolean|Function} options.scrub - Scrub cookie values and access tokens when the fixture is
+     *   written (default true); a function is called with each scrubbed exchange for further redaction
+     */
+    constructor({ transport = httpClient, scrub = true } = {}) {
+        this.transport = transport;
+        this.scrub = scrub;
+        this.exchanges = [];
+    }
+
+    /**
+     * Send a request and record it with its response or error
+     * Streamed responses are recorded as they are consumed
+     *
+     * @param {Object} config - Axios request config
+     * @returns {Promise<Object>} Response of the wrapped transport
+     */
+    async request(config) {
+        const exchange = {
+            request: {
+                method: (config.method || 'get').toLowerCase(),
+                url: config.url,
+                headers: { ...(config.headers || {}) },
+                data: serializeData(config.data)
+            },
+            response: null,
+            error: null
+        };
+        this.exchanges.push(exchange);
+
+        let response;
+        try {
+            response = await this.transport.request(config);
+        } catch (error) {
+            if (error.response) {
+                exchange.response = this.recordResponse(error.response);
+            } else {
+                exchange.error = { code: error.code || null, message: error.message };
+            }
+            throw error;
+        }
+
+        if (config.responseType === 'stream' && response.data && typeof response.data.pipe === 'function') {
+            const { data, ...meta } = this.recordResponse(response);
+            exchange.response = { ...meta, chunks: [] };
+            return { ...response, data: this.teeStream(response.data, exchange.response.chunks) };
+        }
+
+        exchange.response = this.recordResponse(response);
+        return response;
+    }
+
+    recordResponse(response) {
+        return {
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: toPlainHeaders(response.headers),
+            data: serializeData(response.data)
+        };
+    }
+
+    /**
+     * Pass a response stream through while collecting its chunks as text
+     */
+    teeStream(source, chunks) {
+        const decoder = new StringDecoder('utf8');
+        const output = new PassThrough();
+
+        source.on('data', chunk => {
+            const text = decoder.write(chunk);
+            if (text) {
+                chunks.push(text);
+            }
+        });
+        source.on('end', () => {
+            const rest = decoder.end();
+            if (rest) {
+                chunks.push(rest);
+            }
+        });
+        source.on('error', error => output.destroy(error));
+        output.on('close', () => source.destroy());
+        source.pipe(output);
+
+        return output;
+    }
+
+    /**
+     * The recorded exchanges as a fixture, scrubbed unless scrubbing is off
+     */
+    toJSON() {
+        // Deep copy so scrubbing never touches the recording itself
+        let exchanges = JSON.parse(JSON.stringify(this.exchanges));
+        if (this.scrub) {
+            exchanges = exchanges.map(scrubExchange);
+            if (typeof this.scrub === 'function') {
+                exchanges = exchanges.map(exchange => this.scrub(exchange) || exchange);
+            }
+        }
+
+        return { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), exchanges };
+    }
+
+    /**
+     * Write the fixture to a file
+     * Init pages may still contain account details (name, email); review fixtures before sharing them
+     *
+     * @param {string} file - Destination path
+     */
+    async save(file) {
+        await fs.promises.writeFile(file, JSON.stringify(this, null, 2));
+    }
+}
+
+/**
+ * Transport that answers requests from a recorded fixture, without network access
+ * Each request is matched to the first unused exchange with the same method and URL
+ * (query strings are ignored), so repeated calls replay in recorded order
+ *
+ * @example
+ * const replay = await ReplayTransport.load('fixtures/hello.json');
+ * const client = new GeminiClient('test', 'test', null, { transport: replay });
+ */
+export class ReplayTransport {
+    /**
+     * @param {Object} fixture - Fixture object (see RecordingTransport.toJSON)
+     */
+    constructor(fixture) {
+        if (!fixture || !Array.isArray(fixture.exchanges)) {
+            throw new Error('Invalid fixture: expected { exchanges: [...] }');
+        }
+        if (fixture.version && fixture.version > FIXTURE_VERSION) {
+            throw new Error(`Unsupported fixture version ${fixture.version}`);
+        }
+
+        this.exchanges = fixture.exchanges.map(exchange => ({ ...exchange, used: false }));
+    }
+
+    /**
+     * Replay the recorded response for a request
+     * Statuses rejected by config.validateStatus (2xx only by default) throw like axios does
+     *
+     * @param {Object} config - Axios request config
+     * @returns {Promise<Object>} Recorded response
+     * @throws {Error} If no unused exchange matches the request
+     */
+    async request(config) {
+        const method = (config.method || 'get').toLowerCase();
+        const url = String(config.url).split('?')[0];
+
+        const exchange = this.exchanges.find(entry => !entry.used
+            && entry.request.method === method
+            && String(entry.request.url).split('?')[0] === url);
+
+        if (!exchange) {
+            throw new Error(`No recorded exchange left for ${method.toUpperCase()} ${url}`);
+        }
+        exchange.used = true;
+
+        if (!exchange.response) {
+            const { code = null, message = 'Network Error' } = exchange.error || {};
+            throw new AxiosError(message, code, config);
+        }
+
+        const recorded = exchange.response;
+        const body = recorded.chunks ? recorded.chunks.join('') : recorded.data;
+        const response = {
+            status: recorded.status,
+            statusText: recorded.statusText || '',
+            headers: { ...recorded.headers },
+            data: config.responseType === 'stream'
+                ? Readable.from((recorded.chunks || [body ?? '']).map(chunk => Buffer.from(chunk)))
+                : body,
+            config
+        };
+
+        const validateStatus = config.validateStatus === undefined
+            ? status => status >= 200 && status < 300
+            : config.validateStatus;
+
+        if (validateStatus && !validateStatus(response.status)) {
+            throw new AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+                config,
+                null,
+                response
+            );
+        }
+
+        return response;
+    }
+
+    /**
+     * Number of recorded exchanges not replayed yet
+     */
+    get remaining() {
+        return this.exchanges.filter(exchange => !exchange.used).length;
+    }
+
+    /**
+     * Read a fixture file
+     *
+     * @param {string} file - Path to the fixture
+     * @returns {Promise<ReplayTransport>}
+     */
+    static async load(file) {
+        return new ReplayTransport(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+    }
+}
@@ -4,58 +4,54 @@
 
 import axios from 'axios';
 import fs from 'fs';
+import http from 'http';
+import https from 'https';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { Endpoints, Headers } from './constants.js';
+import { AuthError } from './errors.js';
+import { getCredentialKey, getDefaultCredentialStore } from './credentialStore.js';
+import { CookieJar } from './cookieJar.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Use /tmp for serverless environments (Vercel, AWS Lambda), otherwise use local temp
-const getTempDir = () => {
-    // Check if running in serverless environment
-    const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.LAMBDA_TASK_ROOT;
-    return isServerless ? '/tmp' : path.join(__dirname, 'temp');
-};
+/**
+ * HTTP client shared by every request, and the default transport (see transport.js)
+ * Keep-alive agents reuse connections to Google instead of opening a new one per request
+ */
+export const httpAgent = new http.Agent({ keepAlive: true });
+export const httpsAgent = new https.Agent({ keepAlive: true });
+export const httpClient = axios.create({ httpAgent, httpsAgent });
 
 /**
  * Rotate/refresh the __Secure-1PSIDTS cookie
  * This prevents cookie expiration by refreshing it periodically
+ * Every cookie set by the response is stored in the jar
  * 
- * @param {Object} cookies - Current cookies object
+ * @param {CookieJar|Object} cookies - Cookie jar, or cookie values by name
  * @param {string|null} proxy - Optional proxy URL
+ * @param {Object} store - Credential store shared with other clients (see credentialStore.js)
+ * @param {Object} transport - Transport that sends the request (see transport.js)
+ * @param {Object} endpoints - Where requests are sent (see resolveEndpoints); cookies are always
+ *   matched against the Google URLs
  * @returns {Promise<string|null>} New __Secure-1PSIDTS value or null
  */
-export async function rotate1PSIDTS(cookies, proxy = null) {
-    const cacheDir = getTempDir();
-
-    // Create cache directory if it doesn't exist
-    if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-    }
-
-    const filename = `.cached_1psidts_${cookies['__Secure-1PSID']}.txt`;
-    const cachePath = path.join(cacheDir, filename);
-
-    // Check if cache file was modified in the last 60 seconds to avoid 429 Too Many Requests
-    if (fs.existsSync(cachePath)) {
-        const stats = fs.statSync(cachePath);
-        const now = Date.now();
-        const modifiedTime = stats.mtimeMs;
-
-        if (now - modifiedTime <= 60000) { // 60 seconds
-            console.log('[Cookie Refresh] Cache file recently updated, skipping refresh');
-            return null;
-        }
+export async function rotate1PSIDTS(cookies, proxy = null, store = getDefaultCredentialStore(), transport = httpClient, endpoints = Endpoints) {
+    const jar = CookieJar.from(cookies);
+    const key = getCredentialKey(jar.get('__Secure-1PSID'));
+    const record = await store.get(key) || {};
+
+    // Skip if the cookie was rotated in the last 60 seconds to avoid 429 Too Many Requests,
+    // but pick up a value rotated by another client or instance
+    if (record.rotatedAt && Date.now() - record.rotatedAt <= 60000) { // 60 seconds
+        console.log('[Cookie Refresh] Cookie recently rotated, skipping refresh');
+        return record.secure1PSIDTS && record.secure1PSIDTS !== jar.get('__Secure-1PSIDTS') ? record.secure1PSIDTS : null;
     }
 
     try {
         const config = {
             method: 'post',
-            url: Endpoints.ROTATE_COOKIES,
+            url: endpoints.ROTATE_COOKIES,
             headers: {
                 ...Headers.ROTATE_COOKIES,
-                'Cookie': Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; ')
+                'Cookie': jar.getCookieHeader(Endpoints.ROTATE_COOKIES)
             },
             data: '[000,"-0000000000000000000"]',
             maxRedirects: 5,
@@ -66,33 +62,31 @@ export async function rotate1PSIDTS(cookies, proxy = null) {
             config.proxy = parseProxyUrl(proxy);
         }
 
-        const response = await axios(config);
+        const response = await transport.request(config);
 
         if (response.status === 401) {
-            throw new Error('Authentication failed - cookies may be invalid');
+            throw new AuthError('Authentication failed - cookies may be invalid');
         }
 
-        // Extract new __Secure-1PSIDTS from Set-Cookie headers
-        const setCookieHeader = response.headers['set-cookie'];
-        if (setCookieHeader) {
-            for (const cookie of setCookieHeader) {
-                if (cookie.includes('__Secure-1PSIDTS=')) {
-                    const match = cookie.match(/__Secure-1PSIDTS=([^;]+)/);
-                    if (match && match[1]) {
-                        const new1PSIDTS = match[1];
-                        // Cache the new value
-                        fs.writeFileSync(cachePath, new1PSIDTS, 'utf8');
-                        console.log('[Cookie Refresh] Successfully refreshed __Secure-1PSIDTS');
-                        return new1PSIDTS;
-                    }
-                }
-            }
+        jar.storeResponseCookies(response, Endpoints.ROTATE_COOKIES);
+
+        // Check whether a new __Secure-1PSIDTS was set
+        const setCookieHeader = [].concat(response.headers['set-cookie'] || []);
+        const new1PSIDTS = setCookieHeader.some(cookie => cookie.trim().startsWith('__Secure-1PSIDTS='))
+            ? jar.get('__Secure-1PSIDTS')
+            : null;
+
+        if (new1PSIDTS) {
+            // Cache the new value
+            await store.set(key, { ...record, secure1PSIDTS: new1PSIDTS, rotatedAt: Date.now() });
+            console.log('[Cookie Refresh] Successfully refreshed __Secure-1PSIDTS');
+            return new1PSIDTS;
         }
 
         return null;
     } catch (error) {
         if (error.response?.status === 401) {
-            throw new Error('Authentication failed during cookie rotation');
+            throw new AuthError('Authentication failed during cookie rotation');
         }
         console.error('[Cookie Refresh] Error rotating cookies:', error.message);
         throw error;
@@ -101,50 +95,48 @@ export async function rotate1PSIDTS(cookies, proxy = null) {
 
 /**
  * Get access token (SNlM0e) from Gemini webpage
+ * The token and its fetch time are saved to the credential store
+ * Cookies set by google.com and the Gemini page are stored in the jar
  * 
- * @param {Object} cookies - Cookies object
+ * @param {CookieJar|Object} cookies - Cookie jar, or cookie values by name
  * @param {string|null} proxy - Optional proxy URL
- * @returns {Promise<{accessToken: string, cookies: Object}>}
+ * @param {Object} store - Credential store shared with other clients (see credentialStore.js)
+ * @param {Object} transport - Transport that sends the requests (see transport.js)
+ * @param {Object} endpoints - Where requests are sent (see resolveEndpoints)
+ * @returns {Promise<{accessToken: string, cookies: Object, jar: CookieJar}>}
  */
-export async function getAccessToken(cookies, proxy = null) {
-    // Try loading from cache first
-    const cacheDir = getTempDir();
-    if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-    }
-
-    // Check for cached __Secure-1PSIDTS if not provided
-    if (cookies['__Secure-1PSID'] && !cookies['__Secure-1PSIDTS']) {
-        const filename = `.cached_1psidts_${cookies['__Secure-1PSID']}.txt`;
-        const cachePath = path.join(cacheDir, filename);
-
-        if (fs.existsSync(cachePath)) {
-            const cached1PSIDTS = fs.readFileSync(cachePath, 'utf8').trim();
-            if (cached1PSIDTS) {
-                cookies['__Secure-1PSIDTS'] = cached1PSIDTS;
-                console.log('[Init] Loaded cached __Secure-1PSIDTS');
-            }
-        }
+export async function getAccessToken(cookies, proxy = null, store = getDefaultCredentialStore(), transport = httpClient, endpoints = Endpoints) {
+    const jar = CookieJar.from(cookies);
+    const key = jar.get('__Secure-1PSID') ? getCredentialKey(jar.get('__Secure-1PSID')) : null;
+    const record = key ? await store.get(key) || {} : {};
+
+    // Use the cached __Secure-1PSIDTS if not provided
+    if (key && !jar.get('__Secure-1PSIDTS') && record.secure1PSIDTS) {
+        jar.set('__Secure-1PSIDTS', record.secure1PSIDTS);
+        console.log('[Init] Loaded cached __Secure-1PSIDTS');
     }
 
     try {
         // First, get additional cookies from google.com
-        const googleResponse = await axios.get(Endpoints.GOOGLE, {
+        const googleResponse = await transport.request({
+            method: 'get',
+            url: endpoints.GOOGLE,
+            headers: {
+                'Cookie': jar.getCookieHeader(Endpoints.GOOGLE)
+            },
             maxRedirects: 5,
             proxy: proxy ? parseProxyUrl(proxy) : undefined
         });
 
-        const extraCookies = parseCookiesFromResponse(googleResponse);
+        jar.storeResponseCookies(googleResponse, Endpoints.GOOGLE);
 
         // Now request the Gemini init page
         const config = {
             method: 'get',
-            url: Endpoints.INIT,
+            url: endpoints.INIT,
             headers: {
                 ...Headers.GEMINI,
-                'Cookie': Object.entries({ ...extraCookies, ...cookies })
-                    .map(([k, v]) => `${k}=${v}`)
-                    .join('; ')
+                'Cookie': jar.getCookieHeader(Endpoints.INIT)
             },
             maxRedirects: 5,
             validateStatus: (status) => status < 500
@@ -154,7 +146,12 @@ export async function getAccessToken(cookies, proxy = null) {
             config.proxy = parseProxyUrl(proxy);
         }
 
-        const response = await axios(config);
+        const response = await transport.request(config);
+        jar.storeResponseCookies(response, Endpoints.INIT);
+
+        if (response.status === 401 || response.status === 403) {
+            throw new AuthError('Authentication failed. Please check your cookies.');
+        }
 
         if (response.status !== 200) {
             throw new Error(`Failed to fetch access token. Status: ${response.status}`);
@@ -163,39 +160,108 @@ export async function getAccessToken(cookies, proxy = null) {
         // Extract SNlM0e token from response
         const match = response.data.match(/"SNlM0e":"(.*?)"/);
         if (!match || !match[1]) {
-            throw new Error('Failed to extract access token from response. Cookies may be invalid.');
+            throw new AuthError('Failed to extract access token from response. Cookies may be invalid.');
         }
 
         const accessToken = match[1];
-        const validCookies = { ...extraCookies, ...cookies };
+
+        if (key) {
+            await store.set(key, { ...record, accessToken, accessTokenFetchedAt: Date.now() });
+        }
 
         console.log('[Init] Successfully obtained access token');
-        return { accessToken, cookies: validCookies };
+        return { accessToken, cookies: jar.toObject(), jar };
     } catch (error) {
         if (error.response?.status === 401 || error.response?.status === 403) {
-            throw new Error('Authentication failed. Please check your cookies.');
+            throw new AuthError('Authentication failed. Please check your cookies.');
         }
         throw error;
     }
 }
 
 /**
- * Parse cookies from axios response
+ * Upload a file to Google's content-push service so it can be attached to a prompt
+ *
+ * @param {string|Buffer|Readable|Object} file - Local path, Buffer, readable stream,
+ *   or { data, fileName } where data is any of the former
+ * @param {string|null} proxy - Optional proxy URL
+ * @param {CookieJar|null} jar - Optional cookie jar; matching cookies are sent and new ones stored
+ * @param {Object} transport - Transport that sends the request (see transport.js)
+ * @param {Object} endpoints - Where the request is sent (see resolveEndpoints)
+ * @returns {Promise<{fileId: string, fileName: string}>} Upload identifier and file name
+ */
+export async function uploadFile(file, proxy = null, jar = null, transport = httpClient, endpoints = Endpoints) {
+    const { data, fileName } = await readFileInput(file);
+
+    const formData = new FormData();
+    formData.append('file', new Blob([data]), fileName);
+
+    const config = {
+        method: 'post',
+        url: endpoints.UPLOAD,
+        headers: {
+            ...Headers.UPLOAD
+        },
+        data: formData,
+        maxRedirects: 5
+    };
+
+    if (proxy) {
+        config.proxy = parseProxyUrl(proxy);
+    }
+
+    const cookieHeader = jar ? jar.getCookieHeader(Endpoints.UPLOAD) : '';
+    if (cookieHeader) {
+        config.headers['Cookie'] = cookieHeader;
+    }
+
+    const response = await transport.request(config);
+    if (jar) {
+        jar.storeResponseCookies(response, Endpoints.UPLOAD);
+    }
+
+    if (response.status !== 200 || typeof response.data !== 'string' || !response.data) {
+        throw new Error(`Failed to upload file ${fileName}. Status: ${response.status}`);
+    }
+
+    return { fileId: response.data.trim(), fileName };
+}
+
+/**
+ * Resolve a file input into its contents and a file name
+ *
+ * @param {string|Buffer|Readable|Object} file - File input, as for uploadFile
+ * @returns {Promise<{data: Buffer, fileName: string}>} File contents and name
  */
-function parseCookiesFromResponse(response) {
-    const cookies = {};
-    const setCookieHeader = response.headers['set-cookie'];
-
-    if (setCookieHeader) {
-        for (const cookie of setCookieHeader) {
-            const match = cookie.match(/([^=]+)=([^;]+)/);
-            if (match) {
-                cookies[match[1]] = match[2];
-            }
+export async function readFileInput(file) {
+    if (file && !Buffer.isBuffer(file) && typeof file === 'object' && 'data' in file) {
+        const { data } = await readFileInput(file.data);
+        return { data, fileName: file.fileName || 'file' };
+    }
+
+    if (typeof file === 'string') {
+        return {
+            data: await fs.promises.readFile(file),
+            fileName: path.basename(file)
+        };
+    }
+
+    if (Buffer.isBuffer(file)) {
+        return { data: file, fileName: 'file' };
+    }
+
+    if (file && typeof file[Symbol.asyncIterator] === 'function') {
+        const chunks = [];
+        for await (const chunk of file) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
         }
+        return {
+            data: Buffer.concat(chunks),
+            fileName: file.path ? path.basename(String(file.path)) : 'file'
+        };
     }
 
-    return cookies;
+    throw new Error('Unsupported file input. Expected a path, Buffer, stream or { data, fileName }');
 }
 
 /**
@@ -0,0 +1,226 @@
+/**
+ * Cookie vault
+ * Stores users' Google cookies encrypted at rest (AES-256-GCM) behind opaque
+ * credential tokens, so callers do not have to send raw cookies with every request
+ *
+ * Only a hash of each token is stored; the token itself is returned once when
+ * the credential is created
+ */
+
+import crypto from 'crypto';
+import { AuthError } from './errors.js';
+import { MemorySessionStore } from './sessionStore.js';
+
+const TOKEN_PREFIX = 'cred_';
+
+// Credentials are stored under their token hash; an index record under `credential:<id>` maps an id back to it
+const INDEX_PREFIX = 'credential:';
+
+// lastUsedAt is only rewritten once it is this old, so resolving a token does not write on every request
+const LAST_USED_PRECISION = 60 * 1000; // 1 minute
+
+/**
+ * Derive the 256-bit encryption key from a secret
+ * 64 hex characters or 32 base64 bytes are used as-is; anything else is treated as a passphrase
+ *
+ * @param {string|Buffer} secret - Server key
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(secret) {
+    if (Buffer.isBuffer(secret)) {
+        return secret.length === 32 ? secret : crypto.createHash('sha256').update(secret).digest();
+    }
+    if (/^[0-9a-f]{64}$/i.test(secret)) {
+        return Buffer.from(secret, 'hex');
+    }
+    const decoded = Buffer.from(secret, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === secret.replace(/=+$/, '')) {
+        return decoded;
+    }
+    return crypto.scryptSync(secret, 'gemini-webapi-cookie-vault', 32);
+}
+
+/**
+ * Check whether a string looks like a credential token
+ */
+export function isCredentialToken(value) {
+    return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Encrypted cookie storage keyed by credential token
+ */
+export class CookieVault {
+    /**
+     * @param {Object} options - Vault options
+     * @param {string|Buffer} options.key - Server encryption key (see deriveKey)
+     * @param {Object} options.store - Record store with the session store interface (get/set/delete/list/close)
+     */
+    constructor({ key, store = new MemorySessionStore() } = {}) {
+        if (!key) {
+            throw new Error('Cookie vault requires an encryption key');
+        }
+        this.key = deriveKey(key);
+        this.store = store;
+    }
+
+    /**
+     * Store cookies and create a credential token for them
+     *
+     * @param {Object} cookies - { secure1PSID, secure1PSIDTS }
+     * @param {Object} options - { label, apiKeyId }
+     * @returns {Promise<Object>} { token, id, label, createdAt }
+     */
+    async create(cookies, { label = null, apiKeyId = null } = {}) {
+        if (!cookies || !cookies.secure1PSID) {
+            throw new Error('secure1PSID is required');
+        }
+
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const tokenHash = this.hashToken(token);
+        const now = Date.now();
+
+        const record = {
+            id: crypto.randomBytes(8).toString('hex'),
+            label,
+            apiKeyId,
+            ...this.encrypt(tokenHash, cookies),
+            createdAt: now,
+            updatedAt: now,
+            lastUsedAt: null
+        };
+        await this.store.set(tokenHash, record);
+        await this.store.set(`${INDEX_PREFIX}${record.id}`, { tokenHash, apiKeyId });
+
+        return { token, id: record.id, label, createdAt: new Date(now).toISOString() };
+    }
+
+    /**
+     * Decrypt the cookies behind a token
+     *
+     * @param {string} token - Credential token
+     * @param {Object} options - { apiKeyId } of the caller; credentials of other API keys are rejected
+     * @returns {Promise<Object>} { id, cookies }
+     * @throws {AuthError} If the token is unknown, revoked or cannot be decrypted
+     */
+    async resolve(token, { apiKeyId = null } = {}) {
+        const tokenHash = isCredentialToken(token) ? this.hashToken(token) : null;
+        const record = tokenHash ? await this.store.get(tokenHash) : null;
+
+        if (!record || (record.apiKeyId || null) !== apiKeyId) {
+            throw new AuthError('Invalid or revoked credential', { code: 'INVALID_CREDENTIAL' });
+        }
+
+        let cookies;
+        try {
+            cookies = this.decrypt(tokenHash, record);
+        } catch (error) {
+            // Stored with a different server key
+            throw new AuthError('Credential can no longer be decrypted. Store the cookies again.', { code: 'INVALID_CREDENTIAL' });
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_PRECISION) {
+            await this.store.set(tokenHash, { ...record, lastUsedAt: now });
+        }
+        return { id: record.id, cookies };
+    }
+
+    /**
+     * Replace the cookies behind a token (e.g. after __Secure-1PSIDTS was rotated)
+     *
+     * @param {string} token - Credential token
+     * @param {Object} cookies - { secure1PSID, secure1PSIDTS }
+     * @returns {Promise<boolean>} Whether the credential still exists
+     */
+    async update(token, cookies) {
+        const tokenHash = this.hashToken(token);
+        const record = await this.store.get(tokenHash);
+        if (!record) {
+            return false;
+        }
+
+        await this.store.set(tokenHash, {
+            ...record,
+            ...this.encrypt(tokenHash, cookies),
+            updatedAt: Date.now()
+        });
+        return true;
+    }
+
+    /**
+     * Delete a credential by its id
+     *
+     * @param {string} id - Credential id (from create or list)
+     * @param {Object} options - { apiKeyId } of the caller
+     * @returns {Promise<boolean>} Whether a credential was revoked
+     */
+    async revoke(id, { apiKeyId = null } = {}) {
+        const indexKey = `${INDEX_PREFIX}${id}`;
+        const index = await this.store.get(indexKey);
+        if (!index || (index.apiKeyId || null) !== apiKeyId) {
+            return false;
+        }
+        const deleted = await this.store.delete(index.tokenHash);
+        await this.store.delete(indexKey);
+        return deleted;
+    }
+
+    /**
+     * List credentials without their cookies
+     *
+     * @param {Object} options - { apiKeyId } of the caller
+     * @returns {Promise<Array<Object>>} [{ id, label, createdAt, updatedAt, lastUsedAt }], lastUsedAt to the minute
+     */
+    async list({ apiKeyId = null } = {}) {
+        const records = await this.store.list();
+        // Index records only hold a tokenHash
+        return records
+            .filter(record => !record.tokenHash && (record.apiKeyId || null) === apiKeyId)
+            .map(record => ({
+                id: record.id,
+                label: record.label,
+                createdAt: new Date(record.createdAt).toISOString(),
+                updatedAt: new Date(record.updatedAt).toISOString(),
+                lastUsedAt: record.lastUsedAt ? new Date(record.lastUsedAt).toISOString() : null
+            }));
+    }
+
+    async close() {
+        await this.store.close();
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Encrypt cookies, binding the ciphertext to the record it is stored under
+     */
+    encrypt(tokenHash, cookies) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(tokenHash));
+
+        const plaintext = JSON.stringify({
+            secure1PSID: cookies.secure1PSID,
+            secure1PSIDTS: cookies.secure1PSIDTS || null
+        });
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(tokenHash, record) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(record.iv, 'base64'));
+        decipher.setAAD(Buffer.from(tokenHash));
+        decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+}
@@ -1,15 +1,77 @@
 /**
  * Test file for Gemini Web API Client
  * Run with: npm run dev (or npm test)
+ *
+ * GEMINI_RECORD=fixture.json npm test   records the run (cookie values scrubbed)
+ * GEMINI_REPLAY=fixture.json npm test   replays a recorded run offline, no cookies needed
+ * GEMINI_MOCK=1 npm test                 runs against the mock backend (src/mockServer.js)
  */
 
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { GeminiClient, ChatSession } from './src/client.js';
+import { GeminiClient, ChatSession, RecordingTransport, ReplayTransport } from './src/client.js';
 import { Models } from './src/constants.js';
+import { MemoryCredentialStore } from './src/credentialStore.js';
+import { AuthError, ParseError } from './src/errors.js';
+import { MockGeminiServer } from './src/mockServer.js';
 
 // Load environment variables
 dotenv.config();
 
+const recordFile = process.env.GEMINI_RECORD;
+const replayFile = process.env.GEMINI_REPLAY;
+const useMock = Boolean(process.env.GEMINI_MOCK);
+
+/**
+ * Start the API server (src/server.js) in a child process against the mock backend
+ * @param {string} endpoints - Mock backend URL
+ * @param {Object} env - Extra environment variables for the server
+ * @returns {Promise<{url: string, stop: Function}>} Server URL and a function that stops it
+ */
+async function startApiServer(endpoints, env = {}) {
+  const port = await new Promise((resolve, reject) => {
+    const probe = net.createServer().on('error', reject).listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  const child = spawn(process.execPath, [fileURLToPath(new URL('./src/server.js', import.meta.url))], {
+    env: {
+      ...process.env,
+      GEMINI_BASE_URL: endpoints,
+      SECURE_1PSID: 'replay',
+      SECURE_1PSIDTS: 'replay',
+      CREDENTIAL_STORE: 'memory',
+      PORT: String(port),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server is running')) {
+        resolve();
+      }
+    });
+    exited.then(code => reject(new Error(`API server exited with code ${code}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: async () => {
+      child.kill();
+      await exited;
+    }
+  };
+}
+
 /**
  * Main test function
  */
@@ -19,9 +81,10 @@ async function runTests() {
   console.log('='.repeat(60));
   console.log();
 
-  // Get cookies from environment variables
-  const secure1PSID = process.env.SECURE_1PSID;
-  const secure1PSIDTS = process.env.SECURE_1PSIDTS;
+  // Get cookies from environment variables (replays and the mock only need placeholders)
+  const offline = replayFile || useMock;
+  const secure1PSID = offline ? 'replay' : process.env.SECURE_1PSID;
+  const secure1PSIDTS = offline ? 'replay' : process.env.SECURE_1PSIDTS;
 
   if (!secure1PSID) {
     console.error('❌ Error: SECURE_1PSID not found in environment variables');
@@ -37,14 +100,35 @@ async function runTests() {
   }
 
   // Create client
-  const client = new GeminiClient(secure1PSID, secure1PSIDTS);
+  // Fixture runs use a fresh credential store so every request is recorded / replayed
+  let transport = null;
+  let mock = null;
+  let endpoints = null;
+  if (useMock) {
+    mock = new MockGeminiServer();
+    endpoints = await mock.start();
+    console.log(`Mock backend on ${endpoints}\n`);
+  } else if (replayFile) {
+    transport = await ReplayTransport.load(replayFile);
+    console.log(`Replaying ${replayFile}\n`);
+  } else if (recordFile) {
+    transport = new RecordingTransport();
+    console.log(`Recording to ${recordFile}\n`);
+  }
+
+  const client = new GeminiClient(secure1PSID, secure1PSIDTS, null, transport || mock ? {
+    transport,
+    endpoints,
+    credentialStore: new MemoryCredentialStore()
+  } : {});
+  const exitsWhenDone = Boolean(transport || mock);
 
   try {
     // Test 1: Initialize client
     console.log('[Test 1] Initializing Gemini client...');
     await client.init({
       timeout: 300000,
-      autoRefresh: true,
+      autoRefresh: !exitsWhenDone,
       refreshInterval: 60000, // 1 minute
       verbose: true
     });
@@ -83,10 +167,16 @@ async function runTests() {
 
     // Test 5: Test cookie refresh mechanism
     console.log('[Test 5] Testing cookie refresh...');
-    console.log('The client will automatically refresh cookies every 9 minutes.');
-    console.log('Auto-refresh is running in the background.');
-    console.log('Current cookies are valid and cached.');
-    console.log('✓ Cookie refresh mechanism active\n');
+    if (exitsWhenDone) {
+      // Rotate __Secure-1PSIDTS and fetch a new access token right away
+      await client.refreshSession();
+      console.log('✓ Session refreshed\n');
+    } else {
+      console.log('The client will automatically refresh cookies every 9 minutes.');
+      console.log('Auto-refresh is running in the background.');
+      console.log('Current cookies are valid and cached.');
+      console.log('✓ Cookie refresh mechanism active\n');
+    }
 
     // Test 6: Model switching
     console.log('[Test 6] Testing different models...');
@@ -105,10 +195,117 @@ async function runTests() {
       console.log('✓ Test skipped (this is normal)\n');
     }
 
+    // Test 7: Recovering from an authentication failure (needs the mock to expire a session)
+    console.log('[Test 7] Testing recovery after an authentication failure...');
+    if (mock) {
+      // The session expires while Gemini serves no access token, so refreshSession fails as well
+      mock.use('logged-out');
+      mock.enqueue({ status: 401 });
+      let authError = null;
+      try {
+        await client.generateContent('This request fails', { model: Models.GEMINI_2_5_FLASH });
+      } catch (error) {
+        authError = error;
+      }
+      if (!(authError instanceof AuthError)) {
+        throw new Error(`Expected an AuthError, got ${authError ? authError.message : 'a response'}`);
+      }
+      console.log('Failed as expected:', authError.message);
+
+      mock.use('default');
+      const response5 = await client.generateContent('Are you back?', { model: Models.GEMINI_2_5_FLASH });
+      console.log('Response after recovery:', response5.text.substring(0, 100) + '...');
+      console.log('✓ Client re-initialized on the next request\n');
+    } else {
+      console.log('✓ Test skipped (run with GEMINI_MOCK=1)\n');
+    }
+
+    // Test 8: HTML output never carries markup or URLs that could run script
+    console.log('[Test 8] Testing HTML rendering of unsafe content...');
+    if (mock) {
+      mock.enqueue({
+        response: {
+          text: '<script>alert(1)</script>\n\n[x](javascript:alert(1)) [y](JavaScript:void) ![z](data:image/svg+xml;base64,PHN2Zz4=)'
+        }
+      });
+      const html = (await client.generateContent('Render this', { format: 'html' })).text;
+      console.log('HTML:', html);
+      const unsafe = [/<script/i, /href="\s*javascript:/i, /src="\s*data:/i, /<img/i]
+        .filter(pattern => pattern.test(html));
+      if (unsafe.length > 0 || !html.includes('&lt;script&gt;')) {
+        throw new Error(`Unsafe HTML output (${unsafe.join(', ') || 'script tag not escaped'})`);
+      }
+      console.log('✓ Script tags escaped, javascript: links and data: images dropped\n');
+    } else {
+      console.log('✓ Test skipped (run with GEMINI_MOCK=1)\n');
+    }
+
+    // Test 9: Responses that do not match the parser schema fail with diagnostics
+    console.log('[Test 9] Testing parser diagnostics for malformed responses...');
+    if (mock) {
+      const strictClient = new GeminiClient(secure1PSID, secure1PSIDTS, null, {
+        endpoints,
+        credentialStore: new MemoryCredentialStore(),
+        parser: { strict: true }
+      });
+      await strictClient.init({ autoRefresh: false });
+
+      // Single frames, so the mock streams the malformed fields as they are
+      const cases = [
+        { parserClient: client, label: 'missing text', kind: 'missing', scenario: { frames: 1, response: { text: null } } },
+        { parserClient: strictClient, label: 'numeric thoughts (strict)', kind: 'invalid', scenario: { frames: 1, response: { thoughts: 5 } } }
+      ];
+      try {
+        for (const { parserClient, label, kind, scenario } of cases) {
+          mock.enqueue(scenario);
+          const error = await parserClient.generateContent('Malformed reply').then(() => null, error => error);
+          if (!(error instanceof ParseError) || !error.diagnostics?.[kind]?.length) {
+            throw new Error(`Expected a ParseError with ${kind} diagnostics for ${label}, got ${error ? error.message : 'a response'}`);
+          }
+          console.log(`Rejected ${label}:`, error.message);
+        }
+      } finally {
+        await strictClient.close();
+      }
+
+      const server = await startApiServer(endpoints, { RESPONSE_SCHEMA_STRICT: 'true' });
+      try {
+        mock.enqueue({ frames: 1, response: { thoughts: 5 } });
+        const res = await fetch(`${server.url}/api/generate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ prompt: 'Malformed reply' })
+        });
+        const body = await res.json();
+        if (res.status !== 502 || body.code !== 'PARSE_FAILED' || !body.diagnostics?.invalid?.length) {
+          throw new Error(`Expected a 502 with diagnostics, got ${res.status} ${JSON.stringify(body)}`);
+        }
+        console.log('API response:', res.status, JSON.stringify(body.diagnostics.invalid));
+      } finally {
+        await server.stop();
+      }
+      console.log('✓ ParseError carries diagnostics, also in the /api/generate 502 body\n');
+    } else {
+      console.log('✓ Test skipped (run with GEMINI_MOCK=1)\n');
+    }
+
     console.log('='.repeat(60));
     console.log('✓ All tests completed successfully!');
     console.log('='.repeat(60));
     console.log();
+
+    if (exitsWhenDone) {
+      if (recordFile) {
+        await transport.save(recordFile);
+        console.log(`Recorded ${transport.exchanges.length} exchanges to ${recordFile}`);
+      }
+      await client.close();
+      if (mock) {
+        await mock.stop();
+      }
+      return;
+    }
+
     console.log('The client is still running with auto-refresh enabled.');
     console.log('Press Ctrl+C to exit.');
     console.log();
@@ -123,6 +320,9 @@ async function runTests() {
       console.error('Response data:', error.response.data?.substring(0, 200));
     }
     await client.close();
+    if (mock) {
+      await mock.stop();
+    }
     process.exit(1);
   }
 }